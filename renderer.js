@@ -78,6 +78,7 @@ function applyTranslations(dict) {
 
   // Tooltips (titles)
   const tooltipMap = {
+    'profile': 'tooltips.profile',
     'dpi': 'tooltips.dpi',
     'maxWidth': 'tooltips.resize',
     'colorMode': 'tooltips.color_mode',
@@ -89,6 +90,16 @@ function applyTranslations(dict) {
     '.compression-box': 'tooltips.quality',
     'splitDouble': 'tooltips.split',
     'readingDir': 'tooltips.reading',
+    'cleanup-box': 'tooltips.cleanup',
+    'enhance-box': 'tooltips.enhance',
+    'metadata-box': 'tooltips.metadata',
+    'outputTemplate': 'tooltips.output_template',
+    'onCollision': 'tooltips.collision',
+    'budget-box': 'tooltips.budget',
+    'folders-box': 'tooltips.folders',
+    'chapter-merge-box': 'tooltips.chapter_merge',
+    'pdf-box': 'tooltips.pdf',
+    'repack-box': 'tooltips.repack',
     'drop-zone': 'dropzone.tooltip'
   };
 
@@ -120,6 +131,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
 const dropZone = document.getElementById('drop-zone');
 const btnConvert = document.getElementById('btn-convert');
+const btnCancel = document.getElementById('btn-cancel');
 // Technical logs removed from the UI
 const sliderCompression = document.getElementById('compression');
 const lblCompression = document.getElementById('compression-val');
@@ -160,6 +172,8 @@ let imageCounter = 0;
 let totalImages = 0;
 let globalTotalImages = 0; // Backup for Original mode cumulative view
 let filesPageCounts = [];
+let filesMetadata = []; // ComicInfo fields per selected file (read from the source, editable)
+let folderModes = {}; // Per dropped folder: sub-folders as 'chapters' of one volume or separate 'volumes'
 let conversionStartTime = 0;
 let cumulativeCompletedPages = 0; // Persistent counter for completed pages (left counter)
 
@@ -179,8 +193,19 @@ const originalHint = document.getElementById('original-hint');
 const formatSelect = document.getElementById('format');
 const archiveCompSelect = document.getElementById('archiveCompression');
 
+// Optimize and repack modes are Original extraction without re-encoding: same disabled options
+const isOriginalMode = (value) => ['original', 'optimize', 'repack'].includes(value);
+
 function updateOriginalMode() {
-  const isOriginal = dpiSelect.value === 'original';
+  const isOriginal = isOriginalMode(dpiSelect.value);
+  // Nothing that changes the pixels in optimize and repack modes
+  const keepPixels = dpiSelect.value === 'optimize' || dpiSelect.value === 'repack';
+  ['rotation', 'splitDouble'].forEach(id => {
+    const el = document.getElementById(id);
+    el.disabled = keepPixels;
+    el.style.opacity = keepPixels ? '0.5' : '1';
+  });
+  document.getElementById('repack-box').style.display = dpiSelect.value === 'repack' ? 'block' : 'none';
   
   // Reset MaxWidth to "Original Size" when switching to Original mode
   if (isOriginal) {
@@ -216,10 +241,11 @@ function updateOriginalMode() {
 }
 
 function updateCompressionUI() {
-    const isOriginal = dpiSelect.value === 'original';
+    const isOriginal = isOriginalMode(dpiSelect.value);
     const isCbt = formatSelect.value === 'cbt';
     const isPdf = formatSelect.value === 'pdf';
     const isFolder = formatSelect.value === 'folder';
+    document.getElementById('pdf-box').style.display = isPdf ? 'flex' : 'none';
     
     // Archive compression (Note: Original mode now supports archive compression)
     // Only disable for formats that don't support compression (TAR, PDF, Folder)
@@ -247,8 +273,63 @@ function updateCompressionUI() {
     }
 }
 
+// Disable output formats the server cannot produce (missing 7z/rar)
+fetch('/capabilities')
+  .then(r => r.json())
+  .then(caps => {
+    Array.from(formatSelect.options).forEach(opt => {
+      if (caps.output && caps.output[opt.value] === false) {
+        opt.disabled = true;
+        if (formatSelect.value === opt.value) formatSelect.value = 'cbz';
+      }
+    });
+  })
+  .catch(() => {});
+
+// Device profiles: the server fits pages inside the screen and applies the e-ink tone curve,
+// the form only mirrors the color mode and quality of the profile
+const profileSelect = document.getElementById('profile');
+let deviceProfiles = [];
+fetch('/profiles')
+  .then(r => r.json())
+  .then(list => {
+    deviceProfiles = list;
+    list.forEach(p => {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = `${p.label} (${p.width}x${p.height})`;
+      profileSelect.appendChild(opt);
+    });
+  })
+  .catch(() => {});
+
+function applyProfile() {
+  const profile = deviceProfiles.find(p => p.id === profileSelect.value);
+  maxWidthSelect.disabled = !!profile || isOriginalMode(dpiSelect.value);
+  maxWidthSelect.style.opacity = maxWidthSelect.disabled ? '0.5' : '1';
+  if (!profile) return;
+  if (isOriginalMode(dpiSelect.value)) {
+    dpiSelect.value = '300';
+    updateOriginalMode();
+    maxWidthSelect.disabled = true;
+    maxWidthSelect.style.opacity = '0.5';
+  }
+  maxWidthSelect.value = '';
+  colorModeSelect.value = profile.grayscale ? 'gray' : 'jpeg';
+  document.getElementById('gamma').value = profile.gamma !== 1 ? profile.gamma : '';
+  imgFormatSelect.value = 'jpeg';
+  compressionSlider.value = profile.quality;
+  lblCompression.innerText = profile.quality + '%';
+}
+profileSelect.addEventListener('change', applyProfile);
+
 // Listen for DPI selector changes
-dpiSelect.addEventListener('change', updateOriginalMode);
+dpiSelect.addEventListener('change', () => {
+  // Original, optimize and repack modes keep the images untouched: no device profile
+  if (isOriginalMode(dpiSelect.value)) profileSelect.value = '';
+  updateOriginalMode();
+  applyProfile();
+});
 formatSelect.addEventListener('change', updateCompressionUI);
 
 // Initialize on load
@@ -257,16 +338,21 @@ updateOriginalMode();
 // Disable split options when Original mode is active
 const splitSelect = document.getElementById('splitDouble');
 const readingSelect = document.getElementById('readingDir');
+// Splitting works in every mode: only show its options when it is enabled
 function updateSplitOptions() {
-    const isOriginal = dpiSelect.value === 'original';
-    if (splitSelect) splitSelect.disabled = isOriginal;
-    if (readingSelect) readingSelect.disabled = isOriginal;
-    if (splitSelect) splitSelect.style.opacity = isOriginal ? '0.5' : '1';
-    if (readingSelect) readingSelect.style.opacity = isOriginal ? '0.5' : '1';
+    const splitOptions = document.getElementById('split-options');
+    if (splitOptions && splitSelect) splitOptions.style.display = splitSelect.value === 'auto' ? 'flex' : 'none';
 }
-dpiSelect.addEventListener('change', updateSplitOptions);
+if (splitSelect) splitSelect.addEventListener('change', updateSplitOptions);
 updateSplitOptions();
 
+// Crop settings only matter when border trimming is enabled
+const autoCropCheckbox = document.getElementById('autoCrop');
+function updateCropOptions() {
+    document.getElementById('crop-options').style.display = autoCropCheckbox.checked ? 'flex' : 'none';
+}
+autoCropCheckbox.addEventListener('change', updateCropOptions);
+
 // Technical logs removed
 
 // Drag & Drop handling
@@ -355,12 +441,36 @@ dropZone.addEventListener('click', (e) => {
 fileInput.addEventListener('change', e => handleFiles(e.target.files));
 folderInput.addEventListener('change', e => handleFiles(e.target.files));
 
+// Page count and metadata read by the server (content-based detection). A file it rejects (unsupported,
+// empty, password-protected, damaged...) counts 0 pages and keeps the error for the file list.
+async function analyzeOnServer(file, index) {
+  try {
+    const fd = new FormData();
+    fd.append('file', file);
+    // On envoie au serveur pour comptage (rapide en local)
+    const res = await fetch('/analyze', { method: 'POST', body: fd });
+    const data = await res.json().catch(() => ({}));
+    if (data.error) {
+      // Encrypted file: the password typed in the file list is sent with the conversion (filePasswords)
+      filesMetadata[index] = { metadata: {}, error: data.error, passwordRequired: !!data.passwordRequired };
+      return 0;
+    }
+    if (!res.ok) throw new Error('Analysis failed');
+    if (data.metadata) filesMetadata[index] = { metadata: data.metadata };
+    return data.pages || 1;
+  } catch (e) {
+    console.warn('Server analysis error', e);
+    return 1; // Fallback d'affichage si l'analyse échoue
+  }
+}
+
 async function handleFiles(fileList) {
   const allowedExtensions = ['.pdf', '.cbz', '.cbr', '.cbt', '.cb7', '.zip', '.rar', '.tar', '.7z', '.jpg', '.jpeg', '.png', '.tiff', '.tif', '.webp', '.bmp'];
   const files = Array.from(fileList || []).filter(f => {
     if (!f.name) return false;
     const lower = f.name.toLowerCase();
-    return allowedExtensions.some(ext => lower.endsWith(ext));
+    // Files without extension are identified by the server from their content
+    return allowedExtensions.some(ext => lower.endsWith(ext)) || !/\.[^.\/]+$/.test(lower);
   });
   if (files.length === 0) return;
 
@@ -385,7 +495,9 @@ async function handleFiles(fileList) {
       const parts = normPath.split('/');
       
       if (parts.length > 1) {
-          groups.add(parts[0]);
+          // PDFs and archives inside a folder are converted one by one
+          if (f.name.match(/\.(jpg|jpeg|png|tif|tiff|bmp|webp)$/i)) groups.add(parts[0]);
+          else rootDocsCount++;
       } else {
           if (f.name.match(/\.(jpg|jpeg|png|tif|tiff|bmp|webp)$/i)) {
               rootImagesCount++;
@@ -411,9 +523,17 @@ async function handleFiles(fileList) {
     }
     try {
       if (file.name.toLowerCase().endsWith('.pdf')) {
-        const buffer = await file.arrayBuffer();
-        const pdf = await window.pdfjsLib.getDocument({ data: buffer }).promise;
-        const pages = pdf.numPages;
+        let pages;
+        try {
+          const buffer = await file.arrayBuffer();
+          const pdf = await window.pdfjsLib.getDocument({ data: buffer }).promise;
+          pages = pdf.numPages;
+          filesMetadata[startIndex + i] = await readPdfMetadata(pdf);
+        } catch (e) {
+          // Password-protected or not really a PDF: the server tells which
+          console.warn('PDF analysis error', e);
+          pages = await analyzeOnServer(file, startIndex + i);
+        }
         filesPageCounts.push(pages);
         totalImages += pages;
       } else if (file.name.match(/\.(cbz|zip)$/i)) {
@@ -428,35 +548,26 @@ async function handleFiles(fileList) {
           if (count === 0) count = 1;
           filesPageCounts.push(count);
           totalImages += count;
+          const comicInfo = zip.file(/(^|\/)comicinfo\.xml$/i)[0];
+          if (comicInfo) filesMetadata[startIndex + i] = { metadata: parseComicInfoXml(await comicInfo.async('string')) };
         } catch(e) {
+           // Not a ZIP despite its extension (a renamed RAR...), encrypted or damaged: the server tells which
            console.warn('Zip analysis error', e);
            hasArchives = true;
-           filesPageCounts.push(1);
-           totalImages += 1;
+           const count = await analyzeOnServer(file, startIndex + i);
+           filesPageCounts.push(count);
+           totalImages += count;
         }
       } else if (file.name.match(/\.(jpg|jpeg|png|tiff|tif|webp|bmp)$/i)) {
         // Image unique = 1 page
         filesPageCounts.push(1);
         totalImages += 1;
       } else {
-        // Pour les autres archives (CBR, 7Z, TAR), on demande au serveur de les analyser
-        try {
-            const fd = new FormData();
-            fd.append('file', file);
-            // On envoie au serveur pour comptage (rapide en local)
-            const res = await fetch('/analyze', { method: 'POST', body: fd });
-            if (!res.ok) throw new Error('Analysis failed');
-            const data = await res.json();
-            const count = data.pages || 1;
-            
-            filesPageCounts.push(count);
-            totalImages += count;
-        } catch(e) {
-            console.warn('Server analysis error', e);
-            hasArchives = true; // Fallback d'affichage si l'analyse échoue
-            filesPageCounts.push(1);
-            totalImages += 1;
-        }
+        // Pour les autres archives (CBR, 7Z, TAR) et les fichiers sans extension, on demande au serveur
+        hasArchives = true;
+        const count = await analyzeOnServer(file, startIndex + i);
+        filesPageCounts.push(count);
+        totalImages += count;
       }
     } catch (e) {
       console.warn('Page count error', e);
@@ -464,6 +575,8 @@ async function handleFiles(fileList) {
     }
   }
   globalTotalImages = totalImages; // Save global total
+  renderFileMetadataList();
+  renderFolderModes();
 
   // Upload zone information (highlighted)
   let pagesHtml = '';
@@ -558,7 +671,7 @@ btnConvert.addEventListener('click', async () => {
   const maxWidthValue = parseInt(document.getElementById('maxWidth').value);
   const dpiValue = document.getElementById('dpi').value;
   
-  if (maxWidthValue && maxWidthValue > 0 && dpiValue !== 'original') {
+  if (maxWidthValue && maxWidthValue > 0 && !isOriginalMode(dpiValue)) {
     // Check if any image needs upscaling
     const needsUpscaling = await checkIfUpscalingNeeded(maxWidthValue);
     
@@ -584,9 +697,35 @@ btnConvert.addEventListener('click', async () => {
   const requestId = generateUUID();
   const eventSource = new EventSource(`/events?requestId=${requestId}`);
 
+  // Cancel button: asks the server to stop the job (kills running tools, drops remaining tasks)
+  btnCancel.disabled = false;
+  btnCancel.innerText = currentTranslations['buttons.cancel'] || "Cancel conversion";
+  btnCancel.style.display = 'block';
+  btnCancel.onclick = async () => {
+    btnCancel.disabled = true;
+    btnCancel.innerText = currentTranslations['buttons.cancelling'] || "Cancelling...";
+    try {
+      await fetch(`/cancel/${encodeURIComponent(requestId)}`, { method: 'POST' });
+    } catch (e) {
+      console.warn('Cancel request failed', e);
+    }
+  };
+
   eventSource.onmessage = (event) => {
     const data = JSON.parse(event.data);
 
+    if (data.type === 'cancelled') {
+      const phaseLabel = document.getElementById('phase-label');
+      if (phaseLabel) phaseLabel.innerText = currentTranslations['progress.cancelled'] || "Conversion cancelled";
+    }
+
+    if (data.type === 'task-complete' && data.status === 'failed') {
+      // The other tasks keep running, failures are listed in the summary
+      console.warn(`Task failed: ${data.name}`, data.error);
+      const phaseLabel = document.getElementById('phase-label');
+      if (phaseLabel) phaseLabel.innerText = (currentTranslations['progress.task_failed'] || "⚠️ Failed: {name}").replace('{name}', data.name);
+    }
+
     if (data.type === 'thumbnail-init') {
       fileCounter += 1;
       imageCounter = 0;
@@ -597,7 +736,7 @@ btnConvert.addEventListener('click', async () => {
       }
       if (pageCounterEl) pageCounterEl.innerText = `Page : ${imageCounter} / ${totalImages}`;
 
-      const isOriginal = document.getElementById('dpi')?.value === 'original';
+      const isOriginal = isOriginalMode(document.getElementById('dpi')?.value);
       const initialWidth = isOriginal ? '100%' : '0%';
 
       progressThumb.innerHTML = `
@@ -615,7 +754,7 @@ btnConvert.addEventListener('click', async () => {
       // Always use global total to avoid resetting counter between files
       totalImages = globalTotalImages;
 
-      const isOriginal = document.getElementById('dpi')?.value === 'original';
+      const isOriginal = isOriginalMode(document.getElementById('dpi')?.value);
       
       // Left counter (page-counter): Show only completed files (cumulative final count)
       // Uses persistent cumulative counter to avoid resets
@@ -715,8 +854,10 @@ btnConvert.addEventListener('click', async () => {
   
   // ✅ CRITICAL FIX: send ALL parameters to the server
   formData.append('dpi', document.getElementById('dpi').value);
+  formData.append('profile', profileSelect.value);
   formData.append('maxWidth', document.getElementById('maxWidth').value);
   formData.append('colorMode', document.getElementById('colorMode').value);
+  formData.append('keepWebp', document.getElementById('keepWebp').checked ? '1' : '0');
   formData.append('pageStart', document.getElementById('pageStart').value);
   formData.append('pageEnd', document.getElementById('pageEnd').value);
   formData.append('format', document.getElementById('format').value);
@@ -728,7 +869,39 @@ btnConvert.addEventListener('click', async () => {
   const splitVal = document.getElementById('splitDouble') ? document.getElementById('splitDouble').value : 'no';
   const readingVal = document.getElementById('readingDir') ? document.getElementById('readingDir').value : 'ltr';
   formData.append('splitDouble', splitVal);
+  formData.append('splitRatio', document.getElementById('splitRatio').value);
+  formData.append('splitGutter', document.getElementById('splitGutter').checked ? '1' : '0');
+  formData.append('splitKeepCover', document.getElementById('splitKeepCover').checked ? '1' : '0');
+  formData.append('splitKeepSpread', document.getElementById('splitKeepSpread').checked ? '1' : '0');
+  formData.append('autoCrop', autoCropCheckbox.checked ? '1' : '0');
+  formData.append('deskew', document.getElementById('deskew').checked ? '1' : '0');
+  formData.append('cropTolerance', document.getElementById('cropTolerance').value);
+  formData.append('cropMargin', document.getElementById('cropMargin').value);
+  formData.append('cropSameBox', document.getElementById('cropSameBox').checked ? '1' : '0');
+  formData.append('normalize', document.getElementById('normalize').checked ? '1' : '0');
+  formData.append('sharpen', document.getElementById('sharpen').checked ? '1' : '0');
+  formData.append('denoise', document.getElementById('denoise').checked ? '1' : '0');
+  formData.append('grayLevels', document.getElementById('grayLevels').value);
+  formData.append('dither', document.getElementById('dither').checked ? '1' : '0');
+  // Empty gamma: neutral, or the device profile's value
+  if (document.getElementById('gamma').value) formData.append('gamma', document.getElementById('gamma').value);
   formData.append('readingDir', readingVal);
+  // ComicInfo.xml metadata (empty fields are ignored by the server)
+  formData.append('metadata', JSON.stringify(collectMetadata()));
+  formData.append('comicInfo', document.getElementById('comicInfo').checked ? '1' : '0');
+  formData.append('outputTemplate', document.getElementById('outputTemplate').value.trim());
+  formData.append('targetSize', document.getElementById('targetSize').value);
+  formData.append('targetResize', document.getElementById('targetResize').checked ? '1' : '0');
+  formData.append('onCollision', document.getElementById('onCollision').value);
+  formData.append('fileDates', JSON.stringify(selectedFiles.map(f => f.lastModified || null)));
+  formData.append('filePasswords', JSON.stringify(selectedFiles.map((f, i) => (filesMetadata[i] && filesMetadata[i].password) || '')));
+  formData.append('folderModes', JSON.stringify(folderModes));
+  formData.append('pdfPageSize', document.getElementById('pdfPageSize').value);
+  formData.append('pdfThumbnails', document.getElementById('pdfThumbnails').checked ? '1' : '0');
+  formData.append('repackRenumber', document.getElementById('repackRenumber').checked ? '1' : '0');
+  formData.append('mergeDocuments', document.getElementById('mergeDocuments').checked ? '1' : '0');
+  formData.append('chapterSeparators', document.getElementById('chapterSeparators').checked ? '1' : '0');
+  formData.append('fileMetadata', JSON.stringify(selectedFiles.map((f, i) => (filesMetadata[i] ? filesMetadata[i].metadata : {}))));
 
   try {
     const response = await fetch('/convert', { method: 'POST', body: formData });
@@ -738,12 +911,25 @@ btnConvert.addEventListener('click', async () => {
         throw new Error(`Server Error (${response.status}): ${errorText}`);
     }
 
-    const result = await response.json();
+    // The server queues the conversion and answers with a job ID right away
+    const { jobId } = await response.json();
+    const job = await waitForJob(jobId);
+    if (job.status === 'cancelled') {
+      const phaseLabel = document.getElementById('phase-label');
+      if (phaseLabel) phaseLabel.innerText = currentTranslations['progress.cancelled'] || "Conversion cancelled";
+      btnConvert.disabled = false;
+      btnConvert.innerText = originalBtnText;
+      return;
+    }
+    // A job where every task failed still has per-task results to show
+    if (job.status !== 'completed' && !(job.status === 'failed' && job.stats)) {
+        throw new Error(job.error || `Job ${job.status}`);
+    }
 
     // Wait a bit for final SSE events to be processed before showing summary
     await new Promise(resolve => setTimeout(resolve, 300));
     
-    showSummary(result.stats);
+    showSummary(job.stats);
   } catch (e) {
     console.error(e);
     alert(`Error: ${e.message}`);
@@ -751,14 +937,280 @@ btnConvert.addEventListener('click', async () => {
     btnConvert.innerText = originalBtnText;
   } finally {
     eventSource.close();
+    btnCancel.style.display = 'none';
+    btnCancel.onclick = null;
   }
 });
 
+// Read the ComicInfo metadata fields of the form
+const METADATA_FIELDS = ['Series', 'Title', 'Number', 'Volume', 'Writer', 'Penciller', 'Publisher', 'Year', 'LanguageISO'];
+function collectMetadata() {
+  const meta = {};
+  METADATA_FIELDS.forEach(field => {
+    const el = document.getElementById(`meta-${field}`);
+    if (el && el.value.trim()) meta[field] = el.value.trim();
+  });
+  return meta;
+}
+
+// Per-file fields, prefilled from the source metadata (PDF info, existing ComicInfo.xml)
+const FILE_METADATA_FIELDS = ['Series', 'Title', 'Number', 'Volume', 'Writer', 'Year', 'Summary'];
+
+// PDF info dictionary and outline read locally with pdf.js
+async function readPdfMetadata(pdf) {
+  const metadata = {};
+  let outline = [];
+  try {
+    const { info } = await pdf.getMetadata();
+    if (info && info.Title) metadata.Title = info.Title;
+    if (info && info.Author) metadata.Writer = info.Author;
+    if (info && info.Subject) metadata.Summary = info.Subject;
+    const date = info && info.CreationDate && info.CreationDate.match(/^D:(\d{4})/);
+    if (date) metadata.Year = date[1];
+  } catch (e) {
+    console.warn('PDF metadata error', e);
+  }
+  try {
+    outline = ((await pdf.getOutline()) || []).map(item => item.title).filter(Boolean);
+  } catch (e) {
+    console.warn('PDF outline error', e);
+  }
+  return { metadata, outline };
+}
+
+function parseComicInfoXml(xml) {
+  const metadata = {};
+  try {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    FILE_METADATA_FIELDS.forEach(field => {
+      const el = doc.getElementsByTagName(field)[0];
+      if (el && el.textContent.trim()) metadata[field] = el.textContent.trim();
+    });
+  } catch (e) {
+    console.warn('ComicInfo.xml parse error', e);
+  }
+  return metadata;
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// One editable block per PDF/archive in the metadata panel
+function renderFileMetadataList() {
+  const list = document.getElementById('file-metadata-list');
+  if (!list) return;
+  list.innerHTML = '';
+  selectedFiles.forEach((file, idx) => {
+    if (/\.(jpg|jpeg|png|tif|tiff|bmp|webp)$/i.test(file.name)) return;
+    if (!filesMetadata[idx]) filesMetadata[idx] = { metadata: {} };
+    const entry = filesMetadata[idx];
+    const details = document.createElement('details');
+    details.style.cssText = 'border-top:1px solid #444; padding:6px 0;';
+    const fields = FILE_METADATA_FIELDS.map(field => {
+      const value = escapeHtml(entry.metadata[field] || '');
+      const placeholder = `data-i18n-placeholder="controls.metadata.${field.toLowerCase()}" placeholder="${field}"`;
+      return field === 'Summary'
+        ? `<textarea data-field="${field}" ${placeholder} rows="2" style="grid-column: 1 / -1;">${value}</textarea>`
+        : `<input type="text" data-field="${field}" ${placeholder} value="${value}">`;
+    }).join('');
+    const password = entry.passwordRequired
+      ? `<input type="password" data-password autocomplete="off" data-i18n-placeholder="controls.metadata.password" placeholder="File password" style="grid-column: 1 / -1;">`
+      : '';
+    const outline = entry.outline && entry.outline.length
+      ? `<div style="grid-column: 1 / -1; font-size:0.8em; color:#aaa;"><span data-i18n="controls.metadata.chapters">Chapters:</span> ${entry.outline.map(escapeHtml).join(' • ')}</div>`
+      : '';
+    details.innerHTML = `
+      <summary style="cursor:pointer; font-size:0.85em; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;">${escapeHtml(file.fullPath || file.webkitRelativePath || file.name)} (${filesPageCounts[idx] || '?'} p.)
+        ${entry.passwordRequired
+          ? `<div data-i18n="controls.metadata.password_required" style="color:#FFC107; font-size:0.9em; padding-left:14px;">🔒 Password required</div>`
+          : entry.error ? `<div style="color:#f44336; font-size:0.9em; padding-left:14px; white-space:normal;">⚠ ${escapeHtml(entry.error)}</div>` : ''}
+        <div class="output-name-preview" data-file-index="${idx}" style="color:#FF9800; font-size:0.9em; padding-left:14px;"></div>
+      </summary>
+      <div style="display:grid; grid-template-columns: 1fr 1fr; gap:6px; margin-top:6px;">${password}${fields}${outline}</div>
+    `;
+    // Kept in memory only (never in localStorage), sent with the conversion
+    const passwordInput = details.querySelector('[data-password]');
+    if (passwordInput) {
+      details.open = true;
+      passwordInput.value = entry.password || '';
+      passwordInput.addEventListener('input', () => { entry.password = passwordInput.value; });
+    }
+    details.querySelectorAll('[data-field]').forEach(el => {
+      el.addEventListener('input', () => {
+        const value = el.value.trim();
+        if (value) entry.metadata[el.dataset.field] = value;
+        else delete entry.metadata[el.dataset.field];
+        scheduleOutputPreview();
+      });
+    });
+    list.appendChild(details);
+  });
+  applyTranslations(currentTranslations);
+  scheduleOutputPreview();
+}
+
+// One choice per dropped folder whose sub-folders hold images: chapters of one volume, or one volume each
+function renderFolderModes() {
+  const box = document.getElementById('folders-box');
+  const list = document.getElementById('folder-modes-list');
+  if (!box || !list) return;
+  const folders = new Set();
+  selectedFiles.forEach(f => {
+    const parts = (f.fullPath || f.webkitRelativePath || f.name).replace(/\\/g, '/').split('/');
+    if (parts.length > 2 && /\.(jpg|jpeg|png|tif|tiff|bmp|webp)$/i.test(f.name)) folders.add(parts[0]);
+  });
+  list.innerHTML = '';
+  folders.forEach(folder => {
+    const row = document.createElement('label');
+    row.style.cssText = 'display:flex; align-items:center; gap:6px;';
+    row.innerHTML = `
+      <span style="flex:1; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">📁 ${escapeHtml(folder)}</span>
+      <select style="flex:1;">
+        <option value="chapters" data-i18n="controls.folders.chapters">Sub-folders = chapters of one volume</option>
+        <option value="volumes" data-i18n="controls.folders.volumes">Sub-folders = separate volumes</option>
+      </select>
+    `;
+    const select = row.querySelector('select');
+    select.value = folderModes[folder] || 'chapters';
+    select.addEventListener('change', () => { folderModes[folder] = select.value; });
+    list.appendChild(row);
+  });
+  box.style.display = folders.size > 0 ? 'block' : 'none';
+  applyTranslations(currentTranslations);
+}
+
+// Ask the server how each file will be named with the current template, format and metadata
+let outputPreviewTimer = null;
+function scheduleOutputPreview() {
+  clearTimeout(outputPreviewTimer);
+  outputPreviewTimer = setTimeout(updateOutputPreview, 300);
+}
+
+async function updateOutputPreview() {
+  const previews = Array.from(document.querySelectorAll('.output-name-preview'));
+  if (previews.length === 0) return;
+  const shared = collectMetadata();
+  const files = previews.map(el => {
+    const idx = parseInt(el.dataset.fileIndex);
+    const file = selectedFiles[idx];
+    return { name: file.name, metadata: { ...shared, ...(filesMetadata[idx] ? filesMetadata[idx].metadata : {}) } };
+  });
+  try {
+    const res = await fetch('/output-names', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ template: document.getElementById('outputTemplate').value.trim(), format: formatSelect.value, files })
+    });
+    if (!res.ok) return;
+    const { names } = await res.json();
+    previews.forEach((el, i) => { el.innerText = `→ ${names[i]}`; });
+  } catch (e) {
+    console.warn('Output name preview error', e);
+  }
+}
+
+document.getElementById('outputTemplate').addEventListener('input', scheduleOutputPreview);
+formatSelect.addEventListener('change', scheduleOutputPreview);
+METADATA_FIELDS.forEach(field => {
+  const el = document.getElementById(`meta-${field}`);
+  if (el) el.addEventListener('input', scheduleOutputPreview);
+});
+
+// Poll the job status until the server has finished (or failed) the conversion
+async function waitForJob(jobId) {
+  while (true) {
+    const res = await fetch(`/jobs/${encodeURIComponent(jobId)}`);
+    if (!res.ok) throw new Error(`Server Error (${res.status}): unable to read job ${jobId}`);
+    const job = await res.json();
+    if (job.status !== 'queued' && job.status !== 'running') {
+      // Page thumbnails are only fetched once, for the summary
+      const final = await fetch(`/jobs/${encodeURIComponent(jobId)}?thumbnails=1`);
+      return final.ok ? final.json() : job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+}
+
+// Keep only the inputs of the failed tasks (with their per-file metadata) and convert them again
+const btnRetryFailed = document.getElementById('btn-retry-failed');
+async function retryFailed(inputs) {
+  const wanted = new Set(inputs);
+  const keep = selectedFiles
+    .map((f, i) => ({ file: f, meta: filesMetadata[i] }))
+    .filter(({ file }) => wanted.has(file.fullPath || file.webkitRelativePath || file.name));
+  modal.style.display = 'none';
+  resetUI();
+  if (keep.length === 0) return;
+  await handleFiles(keep.map(k => k.file));
+  keep.forEach((k, i) => { if (k.meta) filesMetadata[i] = k.meta; });
+  renderFileMetadataList();
+  btnConvert.click();
+}
+
 btnCloseModal.addEventListener('click', () => {
   modal.style.display = 'none';
   resetUI();
 });
 
+// --- LIBRARY (previous conversions) ---
+const libraryModal = document.getElementById('library-modal');
+const libraryList = document.getElementById('library-list');
+
+async function loadLibrary() {
+  const t = (key, fallback) => currentTranslations[key] || fallback;
+  libraryList.innerHTML = `<div style="color:#aaa;" data-i18n="library.loading">${t('library.loading', 'Loading...')}</div>`;
+  try {
+    const res = await fetch('/outputs');
+    if (!res.ok) throw new Error(`Server Error (${res.status})`);
+    const { outputs } = await res.json();
+    if (outputs.length === 0) {
+      libraryList.innerHTML = `<div style="color:#aaa;" data-i18n="library.empty">No conversion in the output folder.</div>`;
+      applyTranslations(currentTranslations);
+      return;
+    }
+    libraryList.innerHTML = outputs.map(o => `
+      <div style="display:flex; gap:10px; align-items:center; padding:6px 0; border-bottom:1px solid #333;">
+        <div style="width:50px; flex-shrink:0;">${o.thumbnail ? `<img src="${o.thumbnail}" style="width:100%; border-radius:4px; border:1px solid #444;" />` : ''}</div>
+        <div style="flex:1; min-width:0;">
+          <div style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis;" title="${escapeHtml(o.name)}">${escapeHtml(o.name)}</div>
+          <div style="font-size:0.75em; color:#aaa;">
+            ${o.format.toUpperCase()} • ${(o.size / (1024 * 1024)).toFixed(2)} MB${o.pages ? ` • ${o.pages} p.` : ''} • ${new Date(o.modifiedAt).toLocaleString()}
+            ${o.inProgress ? `• <span style="color:#FF9800;" data-i18n="library.in_progress">being written</span>` : ''}
+          </div>
+        </div>
+        <a class="modal-btn btn-secondary" href="${o.downloadUrl}" style="text-decoration:none; padding:4px 8px;" data-i18n="library.download">Download</a>
+        <button class="modal-btn btn-secondary library-delete" data-name="${escapeHtml(o.name)}" style="padding:4px 8px;" data-i18n="library.delete">Delete</button>
+      </div>
+    `).join('');
+    libraryList.querySelectorAll('.library-delete').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const name = btn.dataset.name;
+        if (!confirm(t('library.confirm_delete', 'Permanently delete "{name}"?').replace('{name}', name))) return;
+        const res = await fetch(`/outputs/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        if (!res.ok) {
+          const err = await res.json().catch(() => ({}));
+          alert(`Error: ${err.error || res.status}`);
+        }
+        loadLibrary();
+      });
+    });
+    applyTranslations(currentTranslations);
+  } catch (e) {
+    console.error(e);
+    libraryList.innerHTML = `<div style="color:#FF5722;">${escapeHtml(e.message)}</div>`;
+  }
+}
+
+document.getElementById('btn-library').addEventListener('click', () => {
+  libraryModal.style.display = 'flex';
+  loadLibrary();
+});
+document.getElementById('btn-library-refresh').addEventListener('click', loadLibrary);
+document.getElementById('btn-library-close').addEventListener('click', () => {
+  libraryModal.style.display = 'none';
+});
+
 // Allow resetting UI by clicking the app icon
 const appIcon = document.querySelector('.app-icon');
 if (appIcon) {
@@ -790,14 +1242,84 @@ function showSummary(stats) {
   }
   thumbs += '</div>';
 
+  // Outputs whose name was already taken in the output folder
+  const t = (key, fallback) => currentTranslations[key] || fallback;
+  const collided = Array.isArray(stats.files) ? stats.files.filter(f => f.collision) : [];
+  let collisions = '';
+  if (collided.length > 0) {
+    const items = collided.map(f => {
+      const detail = f.collision === 'renamed'
+        ? `${escapeHtml(f.requestedName || '')} → ${escapeHtml(f.name)}`
+        : `${escapeHtml(f.name)} (${f.collision === 'skipped' ? t('summary.skipped_one', 'skipped') : t('summary.overwritten', 'overwritten')})`;
+      return `<li>${detail}</li>`;
+    }).join('');
+    collisions = `
+      <div style="margin-top:8px; font-size:0.8em; color:#ccc;">
+        <span data-i18n="summary.collisions">Names already in use:</span>
+        <ul style="margin:4px 0; padding-left:18px; max-height:100px; overflow:auto;">${items}</ul>
+      </div>`;
+  }
+
+  // Settings chosen to fit the target size
+  const budgeted = Array.isArray(stats.files) ? stats.files.filter(f => f.budget && f.budget.quality !== null) : [];
+  let budgets = '';
+  if (budgeted.length > 0) {
+    const items = budgeted.map(f => {
+      const b = f.budget;
+      const over = b.fits ? '' : ` <span style="color:#FF5722">(${t('summary.over_budget', 'over budget')})</span>`;
+      return `<li>${escapeHtml(f.name)}: ${b.format.toUpperCase()} ${b.quality}%, ${Math.round(b.scale * 100)}% → ${(f.size / (1024 * 1024)).toFixed(2)} MB${over}</li>`;
+    }).join('');
+    budgets = `
+      <div style="margin-top:8px; font-size:0.8em; color:#ccc;">
+        <span data-i18n="summary.budget">Fitted to the target size:</span>
+        <ul style="margin:4px 0; padding-left:18px; max-height:100px; overflow:auto;">${items}</ul>
+      </div>`;
+  }
+
+  // Lossless optimization: size before/after per output
+  const optimized = Array.isArray(stats.files) ? stats.files.filter(f => f.optimization) : [];
+  let optimizations = '';
+  if (optimized.length > 0) {
+    const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(2);
+    const items = optimized.map(f => {
+      const o = f.optimization;
+      const pct = o.sourceSize > 0 ? Math.round(o.saved / o.sourceSize * 100) : 0;
+      const junk = o.removedFiles ? `, ${o.removedFiles} ${t('summary.junk_removed', 'junk file(s) removed')}` : '';
+      return `<li>${escapeHtml(f.name)}: ${mb(o.sourceSize)} MB → ${mb(o.size)} MB (${pct > 0 ? '-' : ''}${Math.abs(pct)}%${junk})</li>`;
+    }).join('');
+    optimizations = `
+      <div style="margin-top:8px; font-size:0.8em; color:#ccc;">
+        <span data-i18n="summary.optimization">Lossless optimization:</span>
+        <ul style="margin:4px 0; padding-left:18px; max-height:100px; overflow:auto;">${items}</ul>
+      </div>`;
+  }
+
+  // Failed tasks, with their error, can be re-submitted with the same settings
+  const failedTasks = Array.isArray(stats.files) ? stats.files.filter(f => f.status === 'failed') : [];
+  let failures = '';
+  if (failedTasks.length > 0) {
+    const items = failedTasks.map(f => `<li><b>${escapeHtml(f.name)}</b>: ${escapeHtml((f.error || '').split('\n')[0])}</li>`).join('');
+    failures = `
+      <div style="margin-top:8px; font-size:0.8em; color:#FF5722;">
+        <span data-i18n="summary.failed">Failed:</span>
+        <ul style="margin:4px 0; padding-left:18px; max-height:120px; overflow:auto;">${items}</ul>
+      </div>`;
+  }
+  btnRetryFailed.style.display = failedTasks.length > 0 ? 'inline-block' : 'none';
+  btnRetryFailed.onclick = () => retryFailed(failedTasks.flatMap(f => f.inputs || []));
+
   summaryDiv.innerHTML = `
     <div class="summary-stats">
       <div class="stat-row"><span class="stat-label" style="color:#FF9800">Fichiers convertis :</span><span class="stat-value" style="color:#FF9800">${stats.totalFiles}</span></div>
       <div class="stat-row"><span class="stat-label" style="color:#FF9800">Pages totales :</span><span class="stat-value" style="color:#FF9800">${stats.totalPages}</span></div>
       <div class="stat-row"><span class="stat-label" style="color:#FF9800">Temps écoulé :</span><span class="stat-value" style="color:#FF9800">${durationStr}</span></div>
       <div class="stat-row"><span class="stat-label" style="color:#FF9800">Taille totale :</span><span class="stat-value" style="color:#FF9800">${sizeMB} MB</span></div>
-      <div class="stat-row"><span class="stat-label">Dossier de sortie :</span><span class="stat-value">${stats.outputDir}</span></div>
+      ${stats.skippedFiles ? `<div class="stat-row"><span class="stat-label" data-i18n="summary.skipped">Skipped (already present):</span><span class="stat-value">${stats.skippedFiles}</span></div>` : ''}
     </div>
+    ${failures}
+    ${collisions}
+    ${budgets}
+    ${optimizations}
     ${thumbs}
   `;
   applyTranslations(currentTranslations);
@@ -808,25 +1330,56 @@ function showSummary(stats) {
 // Reset all control gadgets to default
 function resetControls() {
     dpiSelect.value = 'original'; // Default to Original mode (fast extraction without re-rendering)
+    profileSelect.value = '';
     document.getElementById('maxWidth').value = '';
     colorModeSelect.value = 'jpeg';
     document.getElementById('pageStart').value = '';
     document.getElementById('pageEnd').value = '';
     imgFormatSelect.value = 'jpeg';
+    document.getElementById('keepWebp').checked = false;
     formatSelect.value = 'cbz';
     archiveCompSelect.value = '5';
     document.getElementById('rotation').value = '0';
     compressionSlider.value = 80;
     lblCompression.innerText = '80%';
+    METADATA_FIELDS.forEach(field => {
+      const el = document.getElementById(`meta-${field}`);
+      if (el) el.value = '';
+    });
+    document.getElementById('comicInfo').checked = true;
+    document.getElementById('outputTemplate').value = '';
+    document.getElementById('onCollision').value = 'rename';
+    document.getElementById('targetSize').value = '';
+    document.getElementById('targetResize').checked = false;
+    if (splitSelect) splitSelect.value = 'auto';
+    document.getElementById('splitRatio').value = '1.2';
+    document.getElementById('splitGutter').checked = true;
+    document.getElementById('splitKeepCover').checked = false;
+    document.getElementById('splitKeepSpread').checked = false;
+    autoCropCheckbox.checked = false;
+    document.getElementById('deskew').checked = false;
+    document.getElementById('cropTolerance').value = '10';
+    document.getElementById('cropMargin').value = '1';
+    document.getElementById('cropSameBox').checked = false;
+    updateCropOptions();
+    ['normalize', 'sharpen', 'denoise'].forEach(id => { document.getElementById(id).checked = false; });
+    document.getElementById('gamma').value = '';
+    document.getElementById('grayLevels').value = '0';
+    document.getElementById('dither').checked = true;
     
     // Trigger change events to update UI state (grayed out elements etc)
     updateOriginalMode();
+    updateSplitOptions();
 }
 
 // Reset UI to initial state (files and progress only)
 function resetUI() {
   selectedFiles = [];
   filesPageCounts = [];
+  filesMetadata = [];
+  folderModes = {};
+  renderFileMetadataList();
+  renderFolderModes();
   fileCounter = 0;
   totalFiles = 0;
   imageCounter = 0;
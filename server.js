@@ -2,8 +2,13 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { execFile, exec } = require('child_process');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const os = require('os');
+const { execFile, spawn } = require('child_process');
 const PDFDocument = require('pdfkit');
+const deflateRawAsync = promisify(zlib.deflateRaw);
 let sharp;
 try { sharp = require('sharp'); } catch(e) { console.warn('Sharp module not found.'); }
 
@@ -37,8 +42,13 @@ function logWarn(...args) {
 // Middleware to parse JSON payloads (required for client-side logs)
 app.use(express.json());
 
-// SSE connections storage
-const activeConnections = {};
+// SSE channels: one per requestId, with a bounded event history (incremental IDs) and all connected clients,
+// so a reconnecting EventSource (Last-Event-ID) or a second tab can replay what it missed
+const SSE_HISTORY_SIZE = Math.max(1, parseInt(process.env.SSE_HISTORY_SIZE || '500') || 500);
+const SSE_HEARTBEAT_MS = 15000;
+// Channels of finished jobs are kept a little while for late reconnections
+const SSE_CHANNEL_TTL_MS = 10 * 60 * 1000;
+const sseChannels = {};
 
 // Directory configuration (supports environment variables for Docker)
 const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'upload');
@@ -103,6 +113,16 @@ const isWin = process.platform === "win32";
 const popplerPath = isWin ? path.join(__dirname, 'bin', 'pdftoppm.exe') : 'pdftoppm';
 const pdfimagesPath = isWin ? path.join(__dirname, 'bin', 'pdfimages.exe') : 'pdfimages';
 const pdfinfoPath = isWin ? path.join(__dirname, 'bin', 'pdfinfo.exe') : 'pdfinfo';
+const pdftohtmlPath = isWin ? path.join(__dirname, 'bin', 'pdftohtml.exe') : 'pdftohtml';
+
+// Time limit of the short inspection commands (pdfinfo, outline, listings): a damaged file must not
+// hold a task or a request forever
+const PROBE_TIMEOUT_MS = 60000;
+// Time limit of an archive extraction (tar, rar, unrar, 7z)
+const EXTRACT_TIMEOUT_MS = 30 * 60 * 1000;
+
+// External tools availability (filled at startup, used for the capability report and archive fallbacks)
+const toolCapabilities = { poppler: false, '7z': false, rar: false, unrar: false, tar: false, jpegtran: false };
 
 // Poppler availability check at startup
 const checkTool = isWin ? popplerPath : 'pdftoppm';
@@ -110,107 +130,2384 @@ if (isWin) {
     if (!fs.existsSync(popplerPath)) {
         console.error(`❌ CRITICAL ERROR: Poppler not found in bin/ directory`);
     } else {
+        toolCapabilities.poppler = true;
         logInfo(`✅ Poppler detected (Windows)`);
     }
-} else {
-    execFile(checkTool, ['-v'], (error) => {
-        if (error) {
-            console.error(`❌ CRITICAL ERROR: Poppler is not installed.`);
-            console.error(`   On Debian/Ubuntu, install it with: apt-get install poppler-utils`);
-        } else {
-            logInfo(`✅ Poppler detected (Linux)`);
+} else {
+    execFile(checkTool, ['-v'], (error) => {
+        if (error) {
+            console.error(`❌ CRITICAL ERROR: Poppler is not installed.`);
+            console.error(`   On Debian/Ubuntu, install it with: apt-get install poppler-utils`);
+        } else {
+            toolCapabilities.poppler = true;
+            logInfo(`✅ Poppler detected (Linux)`);
+        }
+    });
+}
+
+// A tool is available when it can be started (a non-zero exit code on the probe is fine)
+function detectTool(tool, args) {
+    return new Promise(resolve => execFile(tool, args, { timeout: 10000 }, (error) => resolve(!error || error.code !== 'ENOENT')));
+}
+
+// Supported input/output formats, depending on the tools found on this server
+function getFormatCapabilities() {
+    const rarExtract = toolCapabilities.rar || toolCapabilities.unrar || toolCapabilities['7z'];
+    return {
+        tools: { ...toolCapabilities },
+        output: {
+            cbz: true,
+            cbt: true,
+            cb7: toolCapabilities['7z'],
+            cbr: toolCapabilities.rar,
+            rar4: toolCapabilities.rar,
+            pdf: true,
+            epub: true,
+            kepub: true,
+            folder: true
+        },
+        input: {
+            pdf: toolCapabilities.poppler,
+            cbz: toolCapabilities['7z'],
+            // CBT inputs are unpacked by tar when it is installed, by 7z otherwise
+            cbt: toolCapabilities.tar || toolCapabilities['7z'],
+            cb7: toolCapabilities['7z'],
+            cbr: rarExtract,
+            images: true
+        }
+    };
+}
+
+// Capability report at startup
+Promise.all([
+    detectTool('7z', ['i']).then(ok => { toolCapabilities['7z'] = ok; }),
+    detectTool('rar', ['-?']).then(ok => { toolCapabilities.rar = ok; }),
+    detectTool('unrar', ['-?']).then(ok => { toolCapabilities.unrar = ok; }),
+    detectTool('tar', ['--version']).then(ok => { toolCapabilities.tar = ok; }),
+    detectTool('jpegtran', ['-v', '-outfile', os.devNull, os.devNull]).then(ok => { toolCapabilities.jpegtran = ok; })
+]).then(() => {
+    const { output, input } = getFormatCapabilities();
+    const describe = (formats) => Object.entries(formats).map(([name, ok]) => `${name.toUpperCase()} ${ok ? '✅' : '❌'}`).join(' | ');
+    logInfo(`📦 Output formats: ${describe(output)}`);
+    logInfo(`📥 Input formats: ${describe(input)}`);
+    if (!toolCapabilities['7z']) logWarn(`   7z not found: CB7 output and CBZ/CB7 inputs are disabled${toolCapabilities.tar ? ' (CBT inputs use tar)' : ''} (apt-get install p7zip-full)`);
+    if (!toolCapabilities.rar) logWarn(`   rar not found: CBR output is disabled (apt-get install rar)`);
+    if (!toolCapabilities.jpegtran) logWarn(`   jpegtran not found: lossless optimization only strips JPEG metadata (apt-get install libjpeg-turbo-progs)`);
+});
+
+app.get('/capabilities', (req, res) => {
+    res.json(getFormatCapabilities());
+});
+
+app.get('/profiles', (req, res) => {
+    res.json(Object.entries(DEVICE_PROFILES).map(([id, p]) => ({
+        id,
+        label: p.label,
+        width: p.width,
+        height: p.height,
+        grayscale: !!p.eink && !p.color,
+        gamma: p.gamma || 1,
+        contrast: p.contrast || 1,
+        quality: p.quality || 80
+    })));
+});
+
+// Progressive thumbnail UI feature flag
+// Enabled by default (can be disabled with FEATURE_PROGRESS_THUMBNAIL=0)
+const FEATURE_PROGRESS_THUMBNAIL = process.env.FEATURE_PROGRESS_THUMBNAIL !== '0';
+
+const OUTPUT_DIR = process.env.OUTPUT_DIR || path.join(__dirname, 'output');
+if (!fs.existsSync(OUTPUT_DIR)) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+}
+
+// Default output naming template (see buildOutputName), overridable per job with the outputTemplate field
+const OUTPUT_TEMPLATE = process.env.OUTPUT_TEMPLATE || '{name}.{ext}';
+
+// What to do when an output name already exists in OUTPUT_DIR (see resolveOutputCollision), overridable per job
+const COLLISION_POLICIES = ['overwrite', 'skip', 'rename', 'newest'];
+const ON_COLLISION = COLLISION_POLICIES.includes(process.env.ON_COLLISION) ? process.env.ON_COLLISION : 'rename';
+
+// Job queue storage (one JSON file per job, so queued jobs survive a restart)
+const JOBS_DIR = process.env.JOBS_DIR || path.join(UPLOAD_DIR, 'jobs');
+if (!fs.existsSync(JOBS_DIR)) fs.mkdirSync(JOBS_DIR, { recursive: true });
+
+// Finished jobs older than this are purged at startup
+const JOBS_RETENTION_DAYS = parseInt(process.env.JOBS_RETENTION_DAYS || '7');
+
+const jobs = {};
+
+// Worker pool configuration
+// MAX_CONCURRENT_JOBS: conversion tasks (pdftoppm/7z/sharp runs) processed at the same time, across all requests
+// MAX_PAGE_WORKERS: pages processed in parallel by sharp inside a single task
+const MAX_CONCURRENT_JOBS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_JOBS || '2') || 1);
+const MAX_PAGE_WORKERS = Math.max(1, parseInt(process.env.MAX_PAGE_WORKERS || String(Math.min(4, os.cpus().length))) || 1);
+
+function saveJob(job) {
+    // Write to a temporary file first so a crash never leaves a truncated job file
+    const jobPath = path.join(JOBS_DIR, `${job.id}.json`);
+    try {
+        fs.writeFileSync(jobPath + '.tmp', JSON.stringify(job, null, 2));
+        fs.renameSync(jobPath + '.tmp', jobPath);
+    } catch (e) {
+        logWarn(`[JOBS] Unable to persist job ${job.id}:`, e.message);
+    }
+}
+
+function deleteJobFile(jobId) {
+    try { fs.unlinkSync(path.join(JOBS_DIR, `${jobId}.json`)); } catch(e) {}
+}
+
+// Public view of a job: no server paths (uploads, OUTPUT_DIR), outputs are named relative to the library.
+// The base64 page thumbnails of the results are only included with thumbnails: true.
+function publicJob(job, { thumbnails = false } = {}) {
+    const publicResult = (r) => {
+        if (!r) return r;
+        const { path: outputPath, thumbnail, ...result } = r;
+        return thumbnails ? { ...result, thumbnail } : result;
+    };
+    let stats = job.stats;
+    if (stats) {
+        const { outputDir, files, ...rest } = stats;
+        stats = { ...rest, files: Array.isArray(files) ? files.map(publicResult) : files };
+    }
+    return {
+        id: job.id,
+        status: job.status,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        files: job.files.map(f => f.originalname),
+        results: Array.isArray(job.results) ? job.results.map(publicResult) : job.results,
+        stats,
+        error: job.error
+    };
+}
+
+// Global task pool: waiting tasks are grouped per job and picked round-robin,
+// so a large batch from one user does not starve the other requests
+const taskPool = { active: 0, queues: new Map() };
+
+function scheduleTask(jobId, fn) {
+    return new Promise((resolve, reject) => {
+        if (!taskPool.queues.has(jobId)) taskPool.queues.set(jobId, []);
+        taskPool.queues.get(jobId).push({ fn, resolve, reject });
+        drainTaskPool();
+    });
+}
+
+function drainTaskPool() {
+    while (taskPool.active < MAX_CONCURRENT_JOBS && taskPool.queues.size > 0) {
+        // Take the next task of the first job in line, then move that job to the back (Map keeps insertion order)
+        const [jobId, queue] = taskPool.queues.entries().next().value;
+        const entry = queue.shift();
+        taskPool.queues.delete(jobId);
+        if (queue.length > 0) taskPool.queues.set(jobId, queue);
+
+        taskPool.active++;
+        Promise.resolve()
+            .then(entry.fn)
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                taskPool.active--;
+                drainTaskPool();
+            });
+    }
+}
+
+// Reject the tasks of a job that are still waiting for a worker slot
+function dropPendingTasks(jobId, error) {
+    const queue = taskPool.queues.get(jobId);
+    if (!queue) return;
+    taskPool.queues.delete(jobId);
+    queue.forEach(entry => entry.reject(error));
+}
+
+// Per-job runtime state: child processes, temporary paths and cancellation flag (never persisted)
+const jobRuntime = {};
+
+function cancelledError() {
+    const err = new Error('Conversion cancelled');
+    err.cancelled = true;
+    return err;
+}
+
+function throwIfCancelled(jobId) {
+    if (jobRuntime[jobId] && jobRuntime[jobId].cancelled) throw cancelledError();
+}
+
+// Register a temporary file/dir, removed when the job ends (even when it is cancelled or fails)
+function trackTempPath(jobId, p) {
+    if (jobRuntime[jobId]) jobRuntime[jobId].tempPaths.add(p);
+}
+
+// Register a child process so it can be killed on cancel.
+// On Linux children get their own process group: killing the group also stops the tools started through the shell.
+function trackChild(jobId, child) {
+    const runtime = jobRuntime[jobId];
+    if (runtime && child) {
+        runtime.children.add(child);
+        child.on('exit', () => runtime.children.delete(child));
+    }
+    return child;
+}
+
+function killChild(child) {
+    try {
+        if (!isWin && child.pid) process.kill(-child.pid, 'SIGTERM');
+        else child.kill();
+    } catch (e) {
+        try { child.kill(); } catch (e2) {}
+    }
+}
+
+// Command line of a tool for error messages, with passwords masked (see passwordArgs): error messages
+// end up in the logs and in the saved job results
+function describeCommand(file, args) {
+    const archiver = /(^|[\\/])(7z|rar|unrar)(\.exe)?$/i.test(file);
+    return [file, ...args.map((arg, i) => {
+        if (args[i - 1] === '-upw' || args[i - 1] === '-opw') return '***';
+        if (archiver && /^-p./.test(arg) && arg !== '-p-') return '-p***';
+        return arg;
+    })].join(' ');
+}
+
+// execFile replacement bound to a job (same callback signature as child_process, job ID first).
+// It uses spawn because execFile cannot start the child in its own process group.
+function spawnJob(jobId, file, args, options, callback) {
+    if (jobRuntime[jobId] && jobRuntime[jobId].cancelled) {
+        process.nextTick(() => callback(cancelledError(), '', ''));
+        return null;
+    }
+    const { timeout, ...spawnOptions } = options;
+    const child = spawn(file, args, { ...spawnOptions, detached: !isWin });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', d => { stdout += d; });
+    child.stderr.on('data', d => { stderr += d; });
+
+    let finished = false;
+    const timer = timeout ? setTimeout(() => killChild(child), timeout) : null;
+    const finish = (err) => {
+        if (finished) return;
+        finished = true;
+        if (timer) clearTimeout(timer);
+        callback(err, stdout, stderr);
+    };
+    child.on('error', finish);
+    child.on('close', (code, signal) => {
+        if (code === 0) return finish(null);
+        const err = new Error(`Command failed: ${describeCommand(file, args)}\n${stderr}`);
+        err.code = code;
+        err.signal = signal;
+        err.stderr = stderr;
+        finish(err);
+    });
+    return trackChild(jobId, child);
+}
+
+function execFileJob(jobId, file, args, options, callback) {
+    if (typeof options === 'function') { callback = options; options = {}; }
+    return spawnJob(jobId, file, args, options, callback);
+}
+
+// Stop a queued or running job: waiting tasks are dropped and running tools are killed
+function cancelJob(job) {
+    const runtime = jobRuntime[job.id];
+    if (!runtime || runtime.cancelled) return;
+    runtime.cancelled = true;
+    logInfo(`[JOB CANCEL] ${job.id}: stopping ${runtime.children.size} process(es)`);
+    dropPendingTasks(job.id, cancelledError());
+    runtime.children.forEach(killChild);
+}
+
+// Run fn over items with at most `limit` calls in flight (results keep the input order)
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+function getSseChannel(requestId) {
+    if (!sseChannels[requestId]) {
+        sseChannels[requestId] = { lastId: 0, history: [], clients: new Set(), expireTimer: null };
+    }
+    return sseChannels[requestId];
+}
+
+// Drop the channel history some time after the job has ended
+function releaseSseChannel(requestId) {
+    const channel = sseChannels[requestId];
+    if (!channel) return;
+    if (channel.expireTimer) clearTimeout(channel.expireTimer);
+    channel.expireTimer = setTimeout(() => {
+        channel.clients.forEach(client => client.end());
+        delete sseChannels[requestId];
+    }, SSE_CHANNEL_TTL_MS);
+    channel.expireTimer.unref();
+}
+
+// SSE endpoint for progress updates
+app.get('/events', (req, res) => {
+    const requestId = req.query.requestId;
+    if (!requestId) return res.status(400).end();
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    // Disable response buffering in nginx-like reverse proxies
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    const channel = getSseChannel(requestId);
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0') || 0;
+
+    // Replay missed events (the whole history for a new client)
+    res.write(`retry: 3000\n\n`);
+    const missed = channel.history.filter(evt => evt.id > lastEventId);
+    missed.forEach(evt => res.write(evt.payload));
+
+    logDebug(`[DEBUG] SSE connection registered for ID: ${requestId} (Last-Event-ID: ${lastEventId}, replayed: ${missed.length})`);
+    channel.clients.add(res);
+
+    req.on('close', () => {
+        channel.clients.delete(res);
+        // Forget channels opened for a request that never produced any event
+        if (channel.clients.size === 0 && channel.history.length === 0 && !jobs[requestId]) {
+            delete sseChannels[requestId];
+        }
+    });
+});
+
+// Heartbeat comments keep idle streams open behind reverse proxies (long pdftoppm runs send no events)
+setInterval(() => {
+    for (const channel of Object.values(sseChannels)) {
+        channel.clients.forEach(client => client.write(': ping\n\n'));
+    }
+}, SSE_HEARTBEAT_MS).unref();
+
+// Endpoint to receive client-side logs
+app.post('/client-log', (req, res) => {
+    const { message } = req.body;
+    if (message) {
+        logInfo(`[UI] ${message}`);
+    }
+    res.sendStatus(200);
+});
+
+function sendProgress(requestId, data) {
+    const channel = getSseChannel(requestId);
+    const id = ++channel.lastId;
+    const payload = `id: ${id}\ndata: ${JSON.stringify(data)}\n\n`;
+    channel.history.push({ id, payload });
+    if (channel.history.length > SSE_HISTORY_SIZE) channel.history.shift();
+
+    if (channel.clients.size > 0) {
+        channel.clients.forEach(client => client.write(payload));
+        // Detailed logging for progress events
+        if (data.type === 'progress') {
+            logDebug(`[SSE SENT] type:${data.type} | file:${data.currentFileIndex}/${data.totalFiles} | pages:${data.currentPages}/${data.totalPages} | pct:${data.currentPct}%`);
+        } else if (data.type === 'thumbnail-init') {
+            logDebug(`[SSE SENT] type:thumbnail-init | ${data.color ? 'color thumbnail' : 'no color'}`);
+        }
+    } else {
+        logDebug(`[SSE BUFFERED] No connection for ID: ${requestId} | Event: ${data.type} (#${id})`);
+    }
+}
+
+// --- NATIVE ARCHIVE WRITERS ---
+// CBZ and CBT are written in Node (no external tool, no shell); 7z and rar remain optional for CB7/CBR
+
+// CRC-32 (zlib.crc32 only exists in recent Node versions)
+let crcTable = null;
+function crc32(buffer) {
+    if (zlib.crc32) return zlib.crc32(buffer);
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Write a chunk to a stream, waiting for 'drain' when its buffer is full
+function writeChunk(stream, chunk) {
+    return new Promise((resolve, reject) => {
+        const onError = (err) => reject(err);
+        stream.once('error', onError);
+        const done = () => { stream.removeListener('error', onError); resolve(); };
+        if (stream.write(chunk)) done();
+        else stream.once('drain', done);
+    });
+}
+
+function closeStream(stream) {
+    return new Promise((resolve, reject) => {
+        stream.once('error', reject);
+        stream.end(resolve);
+    });
+}
+
+// Files of a work directory that belong in the output (thumbnails and hidden files excluded), sorted by name
+function listArchiveEntries(dir) {
+    return fs.readdirSync(dir)
+        .filter(f => !f.startsWith('thumb_') && !f.startsWith('.') && fs.statSync(path.join(dir, f)).isFile())
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+}
+
+// Files of a work directory and its sub-folders (relative paths, "/" separated), sorted like listArchiveEntries
+function listArchiveTree(dir, prefix = '') {
+    const files = [];
+    const names = fs.readdirSync(path.join(dir, prefix))
+        .filter(f => !f.startsWith('thumb_') && !f.startsWith('.'))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+    for (const name of names) {
+        const rel = prefix ? `${prefix}/${name}` : name;
+        if (fs.statSync(path.join(dir, rel)).isDirectory()) files.push(...listArchiveTree(dir, rel));
+        else files.push(rel);
+    }
+    return files;
+}
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// Streaming ZIP writer: entries are written one by one, only the current file is held in memory.
+// level: 0 = store, 1-9 = deflate level (same scale as the archive compression selector).
+// storedEntries are never compressed (the EPUB "mimetype" entry).
+async function writeZipArchive(jobId, srcDir, entries, outputPath, level, storedEntries = new Set()) {
+    const stream = fs.createWriteStream(outputPath);
+    const central = [];
+    let offset = 0;
+    try {
+        for (const name of entries) {
+            throwIfCancelled(jobId);
+            const data = fs.readFileSync(path.join(srcDir, name));
+            const stored = level === 0 || storedEntries.has(name);
+            const payload = stored ? data : await deflateRawAsync(data, { level: Math.min(9, Math.max(1, level)) });
+            if (offset + payload.length > 0xFFFFFFFF || central.length >= 0xFFFF) {
+                throw new Error('Archive too large for the native ZIP writer (ZIP64 not supported)');
+            }
+            const nameBuf = Buffer.from(name, 'utf8');
+            const crc = crc32(data);
+            const { time, day } = dosDateTime(fs.statSync(path.join(srcDir, name)).mtime);
+
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(0x04034b50, 0);
+            header.writeUInt16LE(20, 4);              // version needed
+            header.writeUInt16LE(0x0800, 6);          // UTF-8 names
+            header.writeUInt16LE(stored ? 0 : 8, 8);  // method
+            header.writeUInt16LE(time, 10);
+            header.writeUInt16LE(day, 12);
+            header.writeUInt32LE(crc, 14);
+            header.writeUInt32LE(payload.length, 18);
+            header.writeUInt32LE(data.length, 22);
+            header.writeUInt16LE(nameBuf.length, 26);
+            header.writeUInt16LE(0, 28);
+
+            await writeChunk(stream, header);
+            await writeChunk(stream, nameBuf);
+            await writeChunk(stream, payload);
+            central.push({ nameBuf, crc, stored, time, day, compressedSize: payload.length, size: data.length, offset });
+            offset += header.length + nameBuf.length + payload.length;
+        }
+
+        const centralStart = offset;
+        for (const e of central) {
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(20, 4);              // version made by
+            record.writeUInt16LE(20, 6);              // version needed
+            record.writeUInt16LE(0x0800, 8);
+            record.writeUInt16LE(e.stored ? 0 : 8, 10);
+            record.writeUInt16LE(e.time, 12);
+            record.writeUInt16LE(e.day, 14);
+            record.writeUInt32LE(e.crc, 16);
+            record.writeUInt32LE(e.compressedSize, 20);
+            record.writeUInt32LE(e.size, 24);
+            record.writeUInt16LE(e.nameBuf.length, 28);
+            record.writeUInt32LE(e.offset, 42);
+            await writeChunk(stream, record);
+            await writeChunk(stream, e.nameBuf);
+            offset += record.length + e.nameBuf.length;
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(central.length, 8);
+        end.writeUInt16LE(central.length, 10);
+        end.writeUInt32LE(offset - centralStart, 12);
+        end.writeUInt32LE(centralStart, 16);
+        await writeChunk(stream, end);
+        await closeStream(stream);
+    } catch (e) {
+        stream.destroy();
+        try { fs.unlinkSync(outputPath); } catch(e2) {}
+        throw e;
+    }
+}
+
+// Streaming TAR (ustar) writer
+async function writeTarArchive(jobId, srcDir, entries, outputPath) {
+    const stream = fs.createWriteStream(outputPath);
+    const writeOctal = (buf, value, offset, length) => {
+        buf.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+    };
+    try {
+        for (const name of entries) {
+            throwIfCancelled(jobId);
+            const nameBuf = Buffer.from(name, 'utf8');
+            // ustar keeps 100 bytes of name: a longer path is split at a "/" into prefix (155 bytes) and name
+            let entryName = nameBuf;
+            let prefix = null;
+            if (nameBuf.length > 100) {
+                const slash = nameBuf.indexOf(0x2f, nameBuf.length - 101);
+                if (slash <= 0 || slash > 155) throw new Error(`File name too long for the native TAR writer: ${name}`);
+                prefix = nameBuf.subarray(0, slash);
+                entryName = nameBuf.subarray(slash + 1);
+            }
+            const filePath = path.join(srcDir, name);
+            const stats = fs.statSync(filePath);
+
+            const header = Buffer.alloc(512);
+            entryName.copy(header, 0);
+            writeOctal(header, 0o644, 100, 8);
+            writeOctal(header, 0, 108, 8);
+            writeOctal(header, 0, 116, 8);
+            writeOctal(header, stats.size, 124, 12);
+            writeOctal(header, Math.floor(stats.mtimeMs / 1000), 136, 12);
+            header.write('        ', 148, 8, 'ascii');    // checksum placeholder
+            header.write('0', 156, 1, 'ascii');           // regular file
+            header.write('ustar\0', 257, 6, 'ascii');
+            header.write('00', 263, 2, 'ascii');
+            if (prefix) prefix.copy(header, 345);
+            let checksum = 0;
+            for (let i = 0; i < 512; i++) checksum += header[i];
+            header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+            await writeChunk(stream, header);
+            await writeChunk(stream, fs.readFileSync(filePath));
+            const padding = (512 - (stats.size % 512)) % 512;
+            if (padding) await writeChunk(stream, Buffer.alloc(padding));
+        }
+        await writeChunk(stream, Buffer.alloc(1024));
+        await closeStream(stream);
+    } catch (e) {
+        stream.destroy();
+        try { fs.unlinkSync(outputPath); } catch(e2) {}
+        throw e;
+    }
+}
+
+// Archive compression selector (0-9) mapped to rar -m0..-m5
+function rarCompressionLevel(archCompVal) {
+    if (archCompVal === 0) return 0;
+    if (archCompVal === 1) return 1;
+    if (archCompVal === 3) return 2;
+    if (archCompVal === 7) return 4;
+    if (archCompVal === 9) return 5;
+    return 3;
+}
+
+// Package the files of tempDir into tempOutputPath (cbz, cbt, cb7, cbr or rar4).
+// CBZ/CBT use the native writers; 7z/tar only serve as fallback when the native writer cannot handle the content.
+// entries: relative paths to store (default: the files at the top of tempDir)
+async function createArchive(jobId, safeFormat, tempDir, tempOutputPath, archCompVal, entries = listArchiveEntries(tempDir)) {
+    const runTool = (tool, args) => new Promise((resolve, reject) =>
+        execFileJob(jobId, tool, args, { cwd: tempDir }, (err) => err ? reject(err) : resolve()));
+
+    if (safeFormat === 'cbt') {
+        try {
+            await writeTarArchive(jobId, tempDir, entries, tempOutputPath);
+        } catch (e) {
+            if (e.cancelled || !toolCapabilities.tar) throw e;
+            logWarn(`[ARCHIVE] Native TAR writer failed (${e.message}), falling back to tar`);
+            await runTool('tar', ['-cf', tempOutputPath, '--', ...entries]);
+        }
+    } else if (safeFormat === 'cb7') {
+        if (!toolCapabilities['7z']) throw new Error('CB7 output requires 7z, which is not installed on this server.');
+        // Note: Archive compression applies even in Original mode (image extraction is native, but archive can still be compressed)
+        await runTool('7z', ['a', '-t7z', `-mx=${archCompVal}`, tempOutputPath, '--', ...entries]);
+    } else if (safeFormat === 'cbr' || safeFormat === 'rar4') {
+        if (!toolCapabilities.rar) throw new Error('CBR output requires rar, which is not installed on this server.');
+        const args = ['a', `-m${rarCompressionLevel(archCompVal)}`];
+        // Entries in sub-folders keep their relative path
+        if (!entries.some(e => e.includes('/'))) args.push('-ep1');
+        if (safeFormat === 'rar4') args.push('-ma4');
+        await runTool('rar', [...args, tempOutputPath, '--', ...entries]);
+    } else {
+        // CBZ
+        try {
+            await writeZipArchive(jobId, tempDir, entries, tempOutputPath, archCompVal);
+        } catch (e) {
+            if (e.cancelled || !toolCapabilities['7z']) throw e;
+            logWarn(`[ARCHIVE] Native ZIP writer failed (${e.message}), falling back to 7z`);
+            await runTool('7z', ['a', '-tzip', `-mx=${archCompVal}`, tempOutputPath, '--', ...entries]);
+        }
+    }
+}
+
+// --- PDF OUTPUT ---
+// Fixed page sizes in points (portrait); a landscape page image gets a landscape page
+const PDF_PAGE_SIZES = { a4: [595.28, 841.89], letter: [612, 792] };
+const PDF_PAGE_MODES = ['original', 'a4', 'letter', 'device'];
+
+// PDF from the pages of dir, one page per image. pageSize: 'original' (physical size from the render DPI, else the
+// image density, else 72 DPI), 'a4' / 'letter' (image fitted and centered) or 'device' (the screen box at 300 ppi).
+// PDFKit only embeds JPEG/PNG: TIFF/GIF pages are converted to PNG and WebP/AVIF pages to JPEG on the fly.
+// info: document Title/Author/Subject/Keywords, bookmarks: { page index: title } written as the outline,
+// thumbnails: embedded page thumbnails (/Thumb) for the viewer's thumbnail pane.
+async function writePdfDocument(jobId, dir, outputPath, { pageSize = 'original', dpi = null, device = null, info = {}, bookmarks = {}, thumbnails = false } = {}) {
+    const images = listArchiveEntries(dir).filter(f => /\.(jpg|jpeg|png|gif|webp|avif|tif|tiff|bmp)$/i.test(f));
+    const docInfo = Object.fromEntries(Object.entries(info).filter(([, v]) => v));
+    const doc = new PDFDocument({ autoFirstPage: false, info: docInfo, displayTitle: !!docInfo.Title });
+    const stream = fs.createWriteStream(outputPath);
+    const done = new Promise((resolve, reject) => {
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+    });
+    doc.pipe(stream);
+
+    let pendingBookmark = null;
+    let written = 0;
+    try {
+        for (const [idx, name] of images.entries()) {
+            throwIfCancelled(jobId);
+            const imgPath = path.join(dir, name);
+            // A bookmark on a page that cannot be embedded moves to the next page
+            pendingBookmark = bookmarks[idx] || pendingBookmark;
+            try {
+                let source = imgPath;
+                let density = null;
+                if (sharp) {
+                    let meta = {};
+                    try { meta = await sharp(imgPath).metadata(); } catch (e) {}
+                    density = meta.density;
+                    if (!/\.(jpe?g|png)$/i.test(name)) {
+                        const lossless = ['tiff', 'gif'].includes(meta.format);
+                        source = await (lossless ? sharp(imgPath).png() : sharp(imgPath).flatten({ background: '#ffffff' }).jpeg({ quality: 92 })).toBuffer();
+                    }
+                } else if (!/\.(jpe?g|png)$/i.test(name)) {
+                    throw new Error('image conversion unavailable');
+                }
+
+                const img = doc.openImage(source);
+                const landscape = img.width > img.height;
+                let pageW, pageH;
+                if (PDF_PAGE_SIZES[pageSize] || (pageSize === 'device' && device)) {
+                    [pageW, pageH] = PDF_PAGE_SIZES[pageSize] || [device.width * 72 / 300, device.height * 72 / 300];
+                    if (landscape !== pageW > pageH) [pageW, pageH] = [pageH, pageW];
+                } else {
+                    const pageDpi = dpi || density || 72;
+                    pageW = img.width * 72 / pageDpi;
+                    pageH = img.height * 72 / pageDpi;
+                }
+                const scale = Math.min(pageW / img.width, pageH / img.height);
+                const w = img.width * scale;
+                const h = img.height * scale;
+                doc.addPage({ margin: 0, size: [pageW, pageH] });
+                doc.image(img, (pageW - w) / 2, (pageH - h) / 2, { width: w, height: h });
+                written++;
+
+                if (thumbnails && sharp) {
+                    const thumbBuffer = await sharp(source).resize(106, 106, { fit: 'inside' }).flatten({ background: '#ffffff' }).jpeg({ quality: 60 }).toBuffer();
+                    const thumb = doc.openImage(thumbBuffer);
+                    thumb.embed(doc);
+                    doc.page.dictionary.data.Thumb = thumb.obj;
+                }
+                if (pendingBookmark) {
+                    doc.outline.addItem(pendingBookmark);
+                    pendingBookmark = null;
+                }
+            } catch (e) {
+                if (e.cancelled) throw e;
+                logWarn(`[PDF] ${name}: page skipped (${e.message})`);
+            }
+        }
+    } catch (e) {
+        // Cancelled: the partial file is removed with the job's temp paths
+        stream.destroy();
+        throw e;
+    }
+    doc.end();
+    await done;
+    if (written === 0) throw new Error('No pages could be written to the PDF');
+}
+
+// --- EPUB / KEPUB ---
+// Media types EPUB readers display; other pages are converted to JPEG when the book is written
+const EPUB_MEDIA_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+// Fixed-layout EPUB3 from the pages of dir: one XHTML page per image, sized to the image, with spread
+// properties (a double page is centered and starts a new spread), the cover, a nav document built from the
+// bookmarks ({ page index: title }) and a toc.ncx for EPUB2 readers. kobo: KEPUB markup (koboSpan) for Kobo readers.
+async function writeEpub(jobId, dir, outputPath, { title, metadata = {}, readingDir, bookmarks = {}, kobo = false, level = 5 }) {
+    const stageDir = path.join(TEMP_DIR, `epub_${Date.now()}_${Math.random().toString(36).substring(7)}`);
+    trackTempPath(jobId, stageDir);
+    fs.mkdirSync(path.join(stageDir, 'META-INF'), { recursive: true });
+    fs.mkdirSync(path.join(stageDir, 'OEBPS', 'images'), { recursive: true });
+    fs.mkdirSync(path.join(stageDir, 'OEBPS', 'pages'), { recursive: true });
+    const write = (name, content) => fs.writeFileSync(path.join(stageDir, name), content);
+
+    try {
+        const rtl = readingDir === 'rtl';
+        const images = listArchiveEntries(dir).filter(f => /\.(jpg|jpeg|png|gif|webp|avif|tif|tiff|bmp)$/i.test(f));
+        if (images.length === 0) throw new Error('No pages to write in the EPUB');
+
+        const pages = [];
+        for (const [idx, image] of images.entries()) {
+            throwIfCancelled(jobId);
+            const num = (idx + 1).toString().padStart(Math.max(3, images.length.toString().length), '0');
+            let ext = path.extname(image).toLowerCase();
+            let width = 1200, height = 1700;
+            if (sharp) {
+                try { ({ width, height } = await sharp(path.join(dir, image)).metadata()); } catch (e) {}
+            }
+            if (EPUB_MEDIA_TYPES[ext] && !(kobo && ext === '.webp')) {
+                fs.copyFileSync(path.join(dir, image), path.join(stageDir, 'OEBPS', 'images', num + ext));
+            } else if (sharp) {
+                ext = '.jpg';
+                await sharp(path.join(dir, image)).jpeg({ quality: 90 }).toFile(path.join(stageDir, 'OEBPS', 'images', num + ext));
+            } else {
+                throw new Error(`EPUB output cannot embed ${image} (image conversion unavailable)`);
+            }
+            pages.push({ num, image: num + ext, mediaType: EPUB_MEDIA_TYPES[ext], width, height, spread: isDoublePage(width, height) });
+        }
+
+        const bookTitle = title || metadata.Title || 'Comic';
+        const language = metadata.LanguageISO || 'en';
+        const identifier = `urn:uuid:${crypto.randomUUID()}`;
+        const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+        for (const [idx, page] of pages.entries()) {
+            const img = `<img src="../images/${page.image}" alt="${idx === 0 ? escapeXml(bookTitle) : ''}" style="width:${page.width}px; height:${page.height}px;"/>`;
+            const body = kobo
+                ? `<div id="book-columns"><div id="book-inner"><span class="koboSpan" id="kobo.1.1">${img}</span></div></div>`
+                : img;
+            write(path.join('OEBPS', 'pages', `page-${page.num}.xhtml`), [
+                '<?xml version="1.0" encoding="utf-8"?>',
+                '<!DOCTYPE html>',
+                `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}">`,
+                '<head>',
+                `  <title>${escapeXml(bookTitle)} - ${idx + 1}</title>`,
+                `  <meta name="viewport" content="width=${page.width}, height=${page.height}"/>`,
+                '  <style>html, body { margin: 0; padding: 0; } img { display: block; }</style>',
+                '</head>',
+                `<body>${body}</body>`,
+                '</html>',
+                ''
+            ].join('\n'));
+        }
+
+        // Table of contents: the bookmarks, or the cover alone
+        const tocEntries = Object.keys(bookmarks).length > 0
+            ? Object.entries(bookmarks).map(([idx, label]) => ({ page: pages[parseInt(idx)], label })).filter(e => e.page)
+            : [{ page: pages[0], label: bookTitle }];
+        write(path.join('OEBPS', 'nav.xhtml'), [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<!DOCTYPE html>',
+            `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}">`,
+            `<head><title>${escapeXml(bookTitle)}</title></head>`,
+            '<body>',
+            '  <nav epub:type="toc" id="toc"><ol>',
+            ...tocEntries.map(e => `    <li><a href="pages/page-${e.page.num}.xhtml">${escapeXml(e.label)}</a></li>`),
+            '  </ol></nav>',
+            '  <nav epub:type="landmarks" hidden=""><ol>',
+            `    <li><a epub:type="cover" href="pages/page-${pages[0].num}.xhtml">Cover</a></li>`,
+            '  </ol></nav>',
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n'));
+        write(path.join('OEBPS', 'toc.ncx'), [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">',
+            `  <head><meta name="dtb:uid" content="${identifier}"/></head>`,
+            `  <docTitle><text>${escapeXml(bookTitle)}</text></docTitle>`,
+            '  <navMap>',
+            ...tocEntries.map((e, i) => `    <navPoint id="nav-${i + 1}" playOrder="${i + 1}"><navLabel><text>${escapeXml(e.label)}</text></navLabel><content src="pages/page-${e.page.num}.xhtml"/></navPoint>`),
+            '  </navMap>',
+            '</ncx>',
+            ''
+        ].join('\n'));
+
+        // Spreads: the cover stands alone on the recto side, a double page is centered and restarts the pairing
+        const recto = rtl ? 'left' : 'right';
+        const verso = rtl ? 'right' : 'left';
+        let side = recto;
+        const spine = pages.map(page => {
+            if (page.spread) {
+                side = verso;
+                return `    <itemref idref="page-${page.num}" properties="rendition:page-spread-center"/>`;
+            }
+            const property = `page-spread-${side}`;
+            side = side === recto ? verso : recto;
+            return `    <itemref idref="page-${page.num}" properties="${property}"/>`;
+        });
+
+        const dcFields = [
+            `    <dc:identifier id="book-id">${identifier}</dc:identifier>`,
+            `    <dc:title>${escapeXml(bookTitle)}</dc:title>`,
+            `    <dc:language>${escapeXml(language)}</dc:language>`,
+            metadata.Writer && `    <dc:creator>${escapeXml(metadata.Writer)}</dc:creator>`,
+            metadata.Penciller && metadata.Penciller !== metadata.Writer && `    <dc:creator>${escapeXml(metadata.Penciller)}</dc:creator>`,
+            metadata.Publisher && `    <dc:publisher>${escapeXml(metadata.Publisher)}</dc:publisher>`,
+            metadata.Summary && `    <dc:description>${escapeXml(metadata.Summary)}</dc:description>`,
+            metadata.Year && `    <dc:date>${escapeXml(metadata.Year)}</dc:date>`,
+            metadata.Series && `    <meta property="belongs-to-collection" id="series">${escapeXml(metadata.Series)}</meta>`,
+            metadata.Series && '    <meta refines="#series" property="collection-type">series</meta>',
+            metadata.Series && (metadata.Number || metadata.Volume) && `    <meta refines="#series" property="group-position">${escapeXml(metadata.Number || metadata.Volume)}</meta>`
+        ].filter(Boolean);
+        write(path.join('OEBPS', 'content.opf'), [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" prefix="rendition: http://www.idpf.org/vocab/rendition/#">',
+            '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+            ...dcFields,
+            `    <meta property="dcterms:modified">${modified}</meta>`,
+            '    <meta property="rendition:layout">pre-paginated</meta>',
+            '    <meta property="rendition:orientation">auto</meta>',
+            '    <meta property="rendition:spread">landscape</meta>',
+            '    <meta name="cover" content="cover-image"/>',
+            '    <meta name="fixed-layout" content="true"/>',
+            `    <meta name="original-resolution" content="${pages[0].width}x${pages[0].height}"/>`,
+            '    <meta name="book-type" content="comic"/>',
+            '  </metadata>',
+            '  <manifest>',
+            '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+            '    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+            ...pages.map((page, idx) => `    <item id="${idx === 0 ? 'cover-image' : `img-${page.num}`}" href="images/${page.image}" media-type="${page.mediaType}"${idx === 0 ? ' properties="cover-image"' : ''}/>`),
+            ...pages.map(page => `    <item id="page-${page.num}" href="pages/page-${page.num}.xhtml" media-type="application/xhtml+xml"/>`),
+            '  </manifest>',
+            `  <spine toc="ncx" page-progression-direction="${rtl ? 'rtl' : 'ltr'}">`,
+            ...spine,
+            '  </spine>',
+            '</package>',
+            ''
+        ].join('\n'));
+
+        write('mimetype', 'application/epub+zip');
+        write(path.join('META-INF', 'container.xml'), [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+            '  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>',
+            '</container>',
+            ''
+        ].join('\n'));
+
+        // "mimetype" first and stored, as the OCF container requires
+        const entries = [
+            'mimetype', 'META-INF/container.xml', 'OEBPS/content.opf', 'OEBPS/nav.xhtml', 'OEBPS/toc.ncx',
+            ...pages.map(page => `OEBPS/pages/page-${page.num}.xhtml`),
+            ...pages.map(page => `OEBPS/images/${page.image}`)
+        ];
+        await writeZipArchive(jobId, stageDir, entries, outputPath, level, new Set(['mimetype']));
+    } finally {
+        fs.rmSync(stageDir, { recursive: true, force: true });
+    }
+}
+
+// --- INPUT DETECTION ---
+// Inputs are identified by their content, not their extension (a RAR renamed .cbz, a PDF without extension)
+// Limits checked before an archive is unpacked (zip bombs, archives made of millions of entries)
+const MAX_EXTRACTED_SIZE = (parseInt(process.env.MAX_EXTRACTED_SIZE_MB || '8192') || 8192) * 1024 * 1024;
+const MAX_ARCHIVE_ENTRIES = parseInt(process.env.MAX_ARCHIVE_ENTRIES || '20000') || 20000;
+// Comic pages barely compress: a higher ratio on a large archive means crafted content
+const MAX_COMPRESSION_RATIO = parseInt(process.env.MAX_COMPRESSION_RATIO || '100') || 100;
+
+// Kind and working extension of each detected type (external tools get a file named after its real format)
+const INPUT_TYPES = {
+    pdf: { kind: 'pdf', ext: '.pdf' },
+    zip: { kind: 'archive', ext: '.zip' },
+    rar4: { kind: 'archive', ext: '.rar' },
+    rar5: { kind: 'archive', ext: '.rar' },
+    '7z': { kind: 'archive', ext: '.7z' },
+    tar: { kind: 'archive', ext: '.tar' },
+    jpeg: { kind: 'image', ext: '.jpg' },
+    png: { kind: 'image', ext: '.png' },
+    gif: { kind: 'image', ext: '.gif' },
+    webp: { kind: 'image', ext: '.webp' },
+    avif: { kind: 'image', ext: '.avif' },
+    tiff: { kind: 'image', ext: '.tif' },
+    bmp: { kind: 'image', ext: '.bmp' }
+};
+
+// Type of a file from its first bytes: { type, kind, ext, size }, type 'empty' or null when unknown
+function detectInputType(filePath) {
+    let size = 0;
+    const head = Buffer.alloc(1024);
+    let length = 0;
+    try {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            size = fs.fstatSync(fd).size;
+            length = fs.readSync(fd, head, 0, head.length, 0);
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch (e) {
+        return { type: null, kind: null, ext: '', size };
+    }
+    const buffer = head.subarray(0, length);
+    const startsWith = (hex, offset = 0) => buffer.subarray(offset, offset + hex.length / 2).toString('hex') === hex;
+    const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+    let type = null;
+    if (size === 0) type = 'empty';
+    else if (startsWith('526172211a070100')) type = 'rar5';
+    else if (startsWith('526172211a0700')) type = 'rar4';
+    else if (startsWith('504b0304') || startsWith('504b0506')) type = 'zip';
+    else if (startsWith('377abcaf271c')) type = '7z';
+    // PDF readers accept a header anywhere in the first kilobyte
+    else if (buffer.indexOf('%PDF-', 0, 'latin1') >= 0) type = 'pdf';
+    else if (ascii(257, 262) === 'ustar') type = 'tar';
+    else if (startsWith('ffd8ff')) type = 'jpeg';
+    else if (startsWith('89504e470d0a1a0a')) type = 'png';
+    else if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') type = 'gif';
+    else if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') type = 'webp';
+    else if (ascii(4, 8) === 'ftyp' && /^avi[fs]$/.test(ascii(8, 12))) type = 'avif';
+    else if (startsWith('49492a00') || startsWith('4d4d002a')) type = 'tiff';
+    else if (ascii(0, 2) === 'BM') type = 'bmp';
+    const info = INPUT_TYPES[type] || { kind: null, ext: '' };
+    return { type, kind: info.kind, ext: info.ext, size };
+}
+
+// Password arguments of the external tools: poppler takes it as user and owner password, 7z and rar as -p.
+// Without a password, rar is told not to ask for one (-p-).
+function passwordArgs(tool, password) {
+    if (tool === '7z') return password ? [`-p${password}`] : [];
+    if (tool === 'rar' || tool === 'unrar') return [password ? `-p${password}` : '-p-'];
+    return password ? ['-upw', password, '-opw', password] : [];
+}
+
+// Encrypted input without the right password: the file list asks for one
+function passwordError(name, wrongPassword) {
+    const err = new Error(wrongPassword ? `"${name}": wrong password` : `"${name}" is password-protected: a password is required`);
+    err.passwordRequired = true;
+    return err;
+}
+
+function damagedError(name, detail) {
+    return new Error(`"${name}" is truncated or damaged (${detail})`);
+}
+
+// Read [offset, offset + length) of an open file; a short read means the file ends too early
+function readAt(fd, offset, length, name) {
+    const buffer = Buffer.alloc(length);
+    const read = fs.readSync(fd, buffer, 0, length, offset);
+    if (read < length) throw damagedError(name, `unexpected end of file at offset ${offset + read}`);
+    return buffer;
+}
+
+// RAR5 variable-length integer (7 bits per byte, lowest first) at buffer[pos]: [value, next position]
+function readVint(buffer, pos) {
+    let value = 0;
+    for (let shift = 1; pos < buffer.length; shift *= 128) {
+        const byte = buffer[pos++];
+        value += (byte & 0x7f) * shift;
+        if (!(byte & 0x80)) return [value, pos];
+    }
+    throw new Error('invalid header');
+}
+
+// ZIP central directory: entry count, declared sizes and encryption flags, without extracting anything.
+// result.files lists each entry ({ name, flags, method, packed, size, localOffset }) for readZipEntry.
+function readZipDirectory(fd, fileSize, name) {
+    const tailSize = Math.min(fileSize, 65557);
+    const tail = readAt(fd, fileSize - tailSize, tailSize, name);
+    const eocd = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (eocd < 0 || eocd + 22 > tailSize) throw damagedError(name, 'end of central directory not found');
+    let count = tail.readUInt16LE(eocd + 10);
+    let dirSize = tail.readUInt32LE(eocd + 12);
+    let dirOffset = tail.readUInt32LE(eocd + 16);
+    // ZIP64: the real values are in the ZIP64 end record, found through the locator just before
+    if (count === 0xffff || dirSize === 0xffffffff || dirOffset === 0xffffffff) {
+        if (eocd < 20 || tail.readUInt32LE(eocd - 20) !== 0x07064b50) throw damagedError(name, 'ZIP64 locator not found');
+        const record = readAt(fd, Number(tail.readBigUInt64LE(eocd - 12)), 56, name);
+        if (record.readUInt32LE(0) !== 0x06064b50) throw damagedError(name, 'ZIP64 end record not found');
+        count = Number(record.readBigUInt64LE(32));
+        dirSize = Number(record.readBigUInt64LE(40));
+        dirOffset = Number(record.readBigUInt64LE(48));
+    }
+    const result = { entries: count, size: 0, packed: 0, encrypted: false, files: [] };
+    if (dirOffset + dirSize > fileSize) throw damagedError(name, 'central directory beyond the end of the file');
+    if (count > MAX_ARCHIVE_ENTRIES) return result;
+
+    const dir = readAt(fd, dirOffset, dirSize, name);
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+        if (pos + 46 > dir.length || dir.readUInt32LE(pos) !== 0x02014b50) throw damagedError(name, 'invalid central directory');
+        const flags = dir.readUInt16LE(pos + 8);
+        const method = dir.readUInt16LE(pos + 10);
+        let packed = dir.readUInt32LE(pos + 20);
+        let size = dir.readUInt32LE(pos + 24);
+        const nameLength = dir.readUInt16LE(pos + 28);
+        const extraLength = dir.readUInt16LE(pos + 30);
+        const commentLength = dir.readUInt16LE(pos + 32);
+        let localOffset = dir.readUInt32LE(pos + 42);
+        // ZIP64 extra field: 64-bit values, only for the fields set to 0xFFFFFFFF
+        let extra = pos + 46 + nameLength;
+        const extraEnd = extra + extraLength;
+        while (extra + 4 <= extraEnd) {
+            const id = dir.readUInt16LE(extra);
+            const length = dir.readUInt16LE(extra + 2);
+            if (id === 0x0001) {
+                let field = extra + 4;
+                const next = () => { const v = Number(dir.readBigUInt64LE(field)); field += 8; return v; };
+                if (size === 0xffffffff) size = next();
+                if (packed === 0xffffffff) packed = next();
+                if (localOffset === 0xffffffff) localOffset = next();
+            }
+            extra += 4 + length;
+        }
+        if (localOffset + packed > dirOffset) throw damagedError(name, 'entry data beyond the end of the file');
+        if (flags & 0x0001) result.encrypted = true;
+        result.size += size;
+        result.packed += packed;
+        // Names are UTF-8 when flag bit 11 is set, CP437 otherwise (read as latin1)
+        const entryName = dir.toString(flags & 0x0800 ? 'utf8' : 'latin1', pos + 46, pos + 46 + nameLength);
+        result.files.push({ name: entryName, flags, method, packed, size, localOffset });
+        pos = extraEnd + commentLength;
+    }
+    return result;
+}
+
+// Data of one entry listed by readZipDirectory (stored or deflated), without reading the rest of the archive
+function readZipEntry(fd, entry, name) {
+    if (entry.flags & 0x0001) throw new Error(`"${name}": ${entry.name} is encrypted`);
+    const local = readAt(fd, entry.localOffset, 30, name);
+    if (local.readUInt32LE(0) !== 0x04034b50) throw damagedError(name, 'invalid local header');
+    const dataOffset = entry.localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    const data = readAt(fd, dataOffset, entry.packed, name);
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return zlib.inflateRawSync(data);
+    throw new Error(`"${name}": ${entry.name} uses an unsupported compression method (${entry.method})`);
+}
+
+// RAR4 blocks: file headers (sizes, encryption flag), encrypted archive headers, end of archive
+function readRar4Headers(fd, fileSize, name) {
+    const result = { entries: 0, size: 0, packed: 0, encrypted: false };
+    let pos = 7;
+    while (pos < fileSize) {
+        const base = readAt(fd, pos, 7, name);
+        const type = base[2];
+        const flags = base.readUInt16LE(3);
+        const headSize = base.readUInt16LE(5);
+        if (headSize < 7) throw damagedError(name, 'invalid block header');
+        const head = readAt(fd, pos, headSize, name);
+        let dataSize = (flags & 0x8000) && headSize >= 11 ? head.readUInt32LE(7) : 0;
+        if (type === 0x73 && (flags & 0x0080)) {
+            // Archive headers encrypted: nothing can be listed without the password
+            result.encrypted = true;
+            result.encryptedHeaders = true;
+            return result;
+        }
+        if (type === 0x74) {
+            // Packed and unpacked sizes end at offset 15
+            if (headSize < 15) throw damagedError(name, 'invalid file header');
+            let size = head.readUInt32LE(11);
+            if ((flags & 0x0100) && headSize >= 40) {
+                dataSize += head.readUInt32LE(32) * 0x100000000;
+                size += head.readUInt32LE(36) * 0x100000000;
+            }
+            // Directory entries carry the 0xE0 dictionary bits
+            if ((flags & 0x00e0) !== 0x00e0) {
+                result.entries++;
+                result.size += size;
+                result.packed += dataSize;
+            }
+            if (flags & 0x0004) result.encrypted = true;
+            if (result.entries > MAX_ARCHIVE_ENTRIES) return result;
+        }
+        if (type === 0x7b) return result;
+        pos += headSize + dataSize;
+    }
+    if (pos > fileSize) throw damagedError(name, 'last entry beyond the end of the file');
+    return result;
+}
+
+// RAR5 blocks: file headers (sizes, encryption record), archive encryption header, end of archive
+function readRar5Headers(fd, fileSize, name) {
+    const result = { entries: 0, size: 0, packed: 0, encrypted: false };
+    let pos = 8;
+    while (pos < fileSize) {
+        // CRC32, then the header size as a vint (3 bytes at most)
+        const start = readAt(fd, pos, Math.min(7, fileSize - pos), name);
+        let headerSize, headerStart;
+        try { [headerSize, headerStart] = readVint(start, 4); } catch (e) { throw damagedError(name, e.message); }
+        const head = readAt(fd, pos + headerStart, headerSize, name);
+        try {
+            let [type, p] = readVint(head, 0);
+            let flags, extraSize = 0, dataSize = 0;
+            [flags, p] = readVint(head, p);
+            if (flags & 0x01) [extraSize, p] = readVint(head, p);
+            if (flags & 0x02) [dataSize, p] = readVint(head, p);
+            if (type === 4) {
+                result.encrypted = true;
+                result.encryptedHeaders = true;
+                return result;
+            }
+            if (type === 2) {
+                let fileFlags, size;
+                [fileFlags, p] = readVint(head, p);
+                [size, p] = readVint(head, p);
+                if (!(fileFlags & 0x01)) {
+                    result.entries++;
+                    result.size += size;
+                    result.packed += dataSize;
+                }
+                // Extra area records: size, type (0x01 = file encryption)
+                let extra = headerSize - extraSize;
+                while (extra < headerSize) {
+                    let recordSize, recordType;
+                    [recordSize, p] = readVint(head, extra);
+                    [recordType] = readVint(head, p);
+                    if (recordType === 0x01) result.encrypted = true;
+                    extra = p + recordSize;
+                }
+                if (result.entries > MAX_ARCHIVE_ENTRIES) return result;
+            }
+            if (type === 5) return result;
+            pos += headerStart + headerSize + dataSize;
+        } catch (e) {
+            throw damagedError(name, e.message);
+        }
+    }
+    if (pos > fileSize) throw damagedError(name, 'last entry beyond the end of the file');
+    return result;
+}
+
+// TAR headers: one 512-byte block per entry followed by its data, two empty blocks at the end
+function readTarHeaders(fd, fileSize, name) {
+    const result = { entries: 0, size: 0, packed: 0, encrypted: false };
+    let pos = 0;
+    while (pos + 512 <= fileSize) {
+        const head = readAt(fd, pos, 512, name);
+        if (head.every(b => b === 0)) return result;
+        // Sizes are octal, or base-256 (high bit set) beyond 8 GB
+        const sizeField = head.subarray(124, 136);
+        const size = sizeField[0] & 0x80
+            ? sizeField.subarray(1).reduce((acc, b) => acc * 256 + b, 0)
+            : parseInt(sizeField.toString('latin1').replace(/\0.*$/, '').trim() || '0', 8);
+        if (Number.isNaN(size)) throw damagedError(name, 'invalid entry header');
+        const typeFlag = String.fromCharCode(head[156]);
+        if (typeFlag === '0' || typeFlag === '\0' || typeFlag === '7') {
+            result.entries++;
+            result.size += size;
+            if (result.entries > MAX_ARCHIVE_ENTRIES) return result;
+        }
+        pos += 512 + Math.ceil(size / 512) * 512;
+    }
+    if (pos > fileSize) throw damagedError(name, 'last entry beyond the end of the file');
+    result.packed = fileSize;
+    return result;
+}
+
+// 7z: the start header gives the position of the archive header, the listing comes from 7z itself
+// (stdin closed, so an encrypted archive fails instead of prompting for a password)
+function read7zHeaders(jobId, fd, fileSize, filePath, name, password) {
+    const start = readAt(fd, 0, 32, name);
+    const nextHeaderOffset = Number(start.readBigUInt64LE(12));
+    const nextHeaderSize = Number(start.readBigUInt64LE(20));
+    if (nextHeaderSize === 0 || 32 + nextHeaderOffset + nextHeaderSize > fileSize) throw damagedError(name, 'archive header beyond the end of the file');
+    return new Promise((resolve, reject) => {
+        execFileJob(jobId, '7z', ['l', '-slt', ...passwordArgs('7z', password), filePath], { stdio: ['ignore', 'pipe', 'pipe'], timeout: PROBE_TIMEOUT_MS }, (err, stdout, stderr) => {
+            if (err && err.cancelled) return reject(err);
+            const output = `${stdout}\n${stderr}`;
+            if (err) {
+                if (/encrypted|password/i.test(output)) return reject(passwordError(name, !!password));
+                return reject(damagedError(name, '7z could not list it'));
+            }
+            const result = { entries: 0, size: 0, packed: 0, encrypted: false };
+            // Entries follow the "----------" line, one "Key = value" block each
+            const blocks = output.split(/^-{10}\s*$/m).slice(1).join('\n').split(/\r?\n\r?\n/);
+            for (const block of blocks) {
+                const field = (key) => { const m = block.match(new RegExp(`^${key} = (.*)$`, 'm')); return m ? m[1].trim() : ''; };
+                if (!field('Path') || field('Folder') === '+') continue;
+                result.entries++;
+                result.size += parseInt(field('Size')) || 0;
+                if (field('Encrypted') === '+') result.encrypted = true;
+            }
+            result.packed = fileSize;
+            resolve(result);
+        });
+    });
+}
+
+// Check an input before anything is extracted or rendered, with a clear error for the user:
+// unsupported content, empty file, password protection, truncated/damaged archive, zip bomb.
+// Returns the detected type; encrypted PDFs are told apart from PDFs with restrictions only through pdfinfo.
+// A wrong PDF or 7z password fails here, a wrong ZIP/RAR password only when the pages are extracted.
+async function validateInput(jobId, filePath, name, detected = detectInputType(filePath), password = '') {
+    if (detected.type === 'empty') throw new Error(`"${name}" is empty`);
+    if (!detected.kind) throw new Error(`"${name}" is not a supported file (PDF, CBZ/ZIP, CBR/RAR, CB7/7Z, CBT/TAR or image)`);
+
+    if (detected.kind === 'pdf') {
+        const fd = fs.openSync(filePath, 'r');
+        let hasEncrypt = false;
+        try {
+            // The /Encrypt entry sits in the trailer (end of file) or the first xref stream (linearized files)
+            const length = Math.min(detected.size, 65536);
+            const head = Buffer.alloc(length);
+            const tail = Buffer.alloc(length);
+            fs.readSync(fd, head, 0, length, 0);
+            fs.readSync(fd, tail, 0, length, detected.size - length);
+            hasEncrypt = head.includes('/Encrypt') || tail.includes('/Encrypt');
+            if (!tail.subarray(-1024).includes('%%EOF')) {
+                logWarn(`[INPUT] ${name}: no %%EOF marker, the PDF may be truncated`);
+                if (jobId) sendProgress(jobId, { type: 'log', message: `Warning: "${name}" has no end-of-file marker, it may be truncated` });
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        if (hasEncrypt && toolCapabilities.poppler) {
+            const stderr = await new Promise((resolve, reject) => execFileJob(jobId, pdfinfoPath, [...passwordArgs(pdfinfoPath, password), filePath], { timeout: PROBE_TIMEOUT_MS }, (err, out, errOut) => {
+                if (err && err.cancelled) return reject(err);
+                resolve(err ? `${errOut}` : '');
+            }));
+            if (/password/i.test(stderr)) throw passwordError(name, !!password);
+        }
+        return detected;
+    }
+
+    if (detected.kind !== 'archive') return detected;
+
+    let info;
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        if (detected.type === 'zip') info = readZipDirectory(fd, detected.size, name);
+        else if (detected.type === 'rar4') info = readRar4Headers(fd, detected.size, name);
+        else if (detected.type === 'rar5') info = readRar5Headers(fd, detected.size, name);
+        else if (detected.type === 'tar') info = readTarHeaders(fd, detected.size, name);
+        else info = await read7zHeaders(jobId, fd, detected.size, filePath, name, password);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    if (info.encrypted && !password) throw passwordError(name, false);
+    // Encrypted RAR headers cannot be read without decrypting them: the limits are not checked
+    if (info.encryptedHeaders) return detected;
+    if (info.entries === 0) throw new Error(`"${name}" is an empty archive`);
+    if (info.entries > MAX_ARCHIVE_ENTRIES) throw new Error(`"${name}" holds too many entries (more than ${MAX_ARCHIVE_ENTRIES})`);
+    if (info.size > MAX_EXTRACTED_SIZE) throw new Error(`"${name}" would extract to ${mb(info.size)} (limit: ${mb(MAX_EXTRACTED_SIZE)})`);
+    if (info.size > 100 * 1024 * 1024 && info.size > info.packed * MAX_COMPRESSION_RATIO) {
+        throw new Error(`"${name}" looks like a zip bomb (${mb(info.packed)} expanding to ${mb(info.size)})`);
+    }
+    return detected;
+}
+
+// --- ARCHIVE EXTRACTION ---
+// Archives found in a dropped folder or inside another archive
+const ARCHIVE_RE = /\.(cbz|cbr|cbt|cb7|zip|rar|tar|7z)$/i;
+// Archives within archives are unpacked down to this depth
+const MAX_NESTED_ARCHIVE_DEPTH = 3;
+
+// Extract an archive of the given type (see detectInputType) into destDir. RAR archives try rar, then unrar,
+// then 7z; TAR archives use tar when it is installed.
+// Every tool runs with stdin closed and -y: a prompt (overwrite, password) fails instead of hanging the task.
+function extractArchive(jobId, archivePath, destDir, type, password = '') {
+    const options = { stdio: ['ignore', 'pipe', 'pipe'], timeout: EXTRACT_TIMEOUT_MS };
+    const sevenZip = ['7z', ['x', '-y', ...passwordArgs('7z', password), archivePath, `-o${destDir}`]];
+    let commands;
+    if (type === 'tar' && toolCapabilities.tar) commands = [['tar', ['-xf', archivePath, '-C', destDir]]];
+    else if (type === 'rar4' || type === 'rar5') {
+        commands = [
+            ['rar', ['x', '-y', ...passwordArgs('rar', password), archivePath, destDir + path.sep]],
+            ['unrar', ['x', '-y', ...passwordArgs('unrar', password), archivePath, destDir + path.sep]],
+            sevenZip
+        ];
+    } else commands = [sevenZip];
+
+    return new Promise((resolve, reject) => {
+        // The error reported is the one of the last tool that ran: "rar not installed" must not hide
+        // the password or damage message of unrar/7z
+        let lastError = null;
+        const tryNext = (i) => {
+            if (i >= commands.length) return reject(lastError);
+            const [tool, args] = commands[i];
+            execFileJob(jobId, tool, args, options, (err) => {
+                if (!err) return resolve();
+                if (err.cancelled) return reject(err);
+                if (err.code !== 'ENOENT' || !lastError) lastError = err;
+                tryNext(i + 1);
+            });
+        };
+        tryNext(0);
+    });
+}
+
+// Unpack the archives found in an extracted tree (a volume made of chapter archives), each one in a folder
+// named after it so its pages keep the archive's sort position. Returns [{ dir, title }] of the unpacked archives.
+// Nested archives are tried with the password of the outer one.
+async function extractNestedArchives(jobId, dir, depth = 1, password = '') {
+    const unpacked = [];
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) { return unpacked; }
+    entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+    for (const entry of entries) {
+        throwIfCancelled(jobId);
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!isJunkFile(entry.name + '/')) unpacked.push(...await extractNestedArchives(jobId, entryPath, depth, password));
+            continue;
+        }
+        if (!entry.isFile() || !ARCHIVE_RE.test(entry.name) || isJunkFile(entry.name)) continue;
+        if (depth > MAX_NESTED_ARCHIVE_DEPTH) {
+            logWarn(`[NESTED] ${entry.name}: nested deeper than ${MAX_NESTED_ARCHIVE_DEPTH} levels, ignored`);
+            continue;
+        }
+        const stem = entry.name.replace(ARCHIVE_RE, '');
+        let target = path.join(dir, stem);
+        for (let n = 1; fs.existsSync(target); n++) target = path.join(dir, `${stem} (${n})`);
+        fs.mkdirSync(target);
+        try {
+            const nested = await validateInput(jobId, entryPath, entry.name, undefined, password);
+            if (nested.kind !== 'archive') throw new Error(`"${entry.name}" is not an archive`);
+            await extractArchive(jobId, entryPath, target, nested.type, password);
+        } catch (e) {
+            if (e.cancelled) throw e;
+            logWarn(`[NESTED] ${entry.name}: extraction failed (${e.message.split('\n')[0]})`);
+            fs.rmSync(target, { recursive: true, force: true });
+            continue;
+        }
+        fs.unlinkSync(entryPath);
+        unpacked.push({ dir: target, title: stem });
+        unpacked.push(...await extractNestedArchives(jobId, target, depth + 1, password));
+    }
+    return unpacked;
+}
+
+// --- COMICINFO.XML ---
+// Simple ComicInfo elements, in schema order (PageCount and Pages are computed when writing)
+const COMIC_INFO_FIELDS = [
+    'Title', 'Series', 'Number', 'Count', 'Volume', 'AlternateSeries', 'AlternateNumber', 'AlternateCount',
+    'Summary', 'Notes', 'Year', 'Month', 'Day', 'Writer', 'Penciller', 'Inker', 'Colorist', 'Letterer',
+    'CoverArtist', 'Editor', 'Translator', 'Publisher', 'Imprint', 'Genre', 'Tags', 'Web', 'PageCount',
+    'LanguageISO', 'Format', 'BlackAndWhite', 'Manga', 'Characters', 'Teams', 'Locations', 'ScanInformation',
+    'StoryArc', 'SeriesGroup', 'AgeRating', 'CommunityRating'
+];
+
+// Pages wider than this ratio (width / height) are considered double pages (spreads)
+const DOUBLE_PAGE_RATIO = 1.2;
+
+function isDoublePage(width, height, ratio = DOUBLE_PAGE_RATIO) {
+    return !!(width && height && (width / height) > ratio);
+}
+
+function unescapeXml(value) {
+    return String(value)
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(parseInt(code)))
+        .replace(/&amp;/g, '&');
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Keep only known, non-empty ComicInfo fields from a JSON string or object (client form, existing ComicInfo.xml)
+function parseComicMetadata(raw) {
+    let input = raw;
+    if (typeof raw === 'string') {
+        try { input = JSON.parse(raw); } catch (e) { logWarn('Invalid metadata JSON:', e.message); return {}; }
+    }
+    const meta = {};
+    if (!input || typeof input !== 'object') return meta;
+    for (const field of COMIC_INFO_FIELDS) {
+        if (field === 'PageCount') continue;
+        const value = input[field];
+        if (value === undefined || value === null) continue;
+        const str = String(value).trim().substring(0, field === 'Summary' || field === 'Notes' ? 4000 : 500);
+        if (str) meta[field] = str;
+    }
+    if (meta.Year && !/^\d{4}$/.test(meta.Year)) delete meta.Year;
+    return meta;
+}
+
+// Read the metadata and page bookmarks of an existing ComicInfo.xml
+function parseComicInfoXml(xml) {
+    const fields = {};
+    for (const field of COMIC_INFO_FIELDS) {
+        const m = xml.match(new RegExp(`<${field}>([\\s\\S]*?)</${field}>`));
+        if (m) fields[field] = unescapeXml(m[1].trim());
+    }
+    // Bookmarks are indexed by image position in the source archive
+    const bookmarks = {};
+    for (const m of xml.matchAll(/<Page\s[^>]*>/g)) {
+        const image = m[0].match(/\sImage="(\d+)"/);
+        const bookmark = m[0].match(/\sBookmark="([^"]*)"/);
+        if (image && bookmark) bookmarks[parseInt(image[1])] = unescapeXml(bookmark[1]);
+    }
+    return { metadata: parseComicMetadata(fields), bookmarks };
+}
+
+// pdfinfo fields mapped to ComicInfo (Author -> Writer, Subject -> Summary, CreationDate -> Year/Month/Day)
+function pdfInfoToComicMetadata(info) {
+    const meta = {};
+    if (info.Title) meta.Title = info.Title;
+    if (info.Author) meta.Writer = info.Author;
+    if (info.Subject) meta.Summary = info.Subject;
+    const date = (info.CreationDate || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (date) {
+        meta.Year = date[1];
+        meta.Month = String(parseInt(date[2]));
+        meta.Day = String(parseInt(date[3]));
+    }
+    return parseComicMetadata(meta);
+}
+
+// Write ComicInfo.xml into a work directory, with the <Pages> block describing its final images.
+// options.bookmarks: { pageIndex: title } (chapters from the PDF outline or the source ComicInfo.xml)
+async function writeComicInfo(dir, meta, options = {}) {
+    const bookmarks = options.bookmarks || {};
+    const pageTypes = options.pageTypes || {};
+    const images = listArchiveEntries(dir).filter(f => /\.(jpg|jpeg|png|gif|webp|avif|tif|tiff|bmp)$/i.test(f));
+    const pages = [];
+    for (const [idx, name] of images.entries()) {
+        const page = { Image: idx, ImageSize: fs.statSync(path.join(dir, name)).size };
+        if (sharp) {
+            try {
+                const imgMeta = await sharp(path.join(dir, name)).metadata();
+                page.ImageWidth = imgMeta.width;
+                page.ImageHeight = imgMeta.height;
+                if (isDoublePage(imgMeta.width, imgMeta.height)) page.DoublePage = 'true';
+            } catch (e) {}
+        }
+        if (idx === 0) page.Type = 'FrontCover';
+        else if (pageTypes[idx]) page.Type = pageTypes[idx];
+        if (bookmarks[idx]) page.Bookmark = bookmarks[idx];
+        pages.push(page);
+    }
+
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+    ];
+    const fields = { ...meta, PageCount: pages.length };
+    if (options.readingDir === 'rtl') fields.Manga = 'YesAndRightToLeft';
+    for (const field of COMIC_INFO_FIELDS) {
+        if (fields[field]) lines.push(`  <${field}>${escapeXml(fields[field])}</${field}>`);
+    }
+    lines.push('  <Pages>');
+    for (const page of pages) {
+        const attrs = Object.entries(page).map(([k, v]) => `${k}="${escapeXml(v)}"`).join(' ');
+        lines.push(`    <Page ${attrs} />`);
+    }
+    lines.push('  </Pages>', '</ComicInfo>', '');
+
+    fs.writeFileSync(path.join(dir, 'ComicInfo.xml'), lines.join('\n'));
+}
+
+// --- DEVICE PROFILES ---
+
+// Portrait screen resolution of common readers. E-ink screens get grayscale pages with a tone curve
+// (gamma > 1 darkens mid-tones, contrast > 1 stretches around mid-gray) since they render scans too light.
+const DEVICE_PROFILES = {
+    'kindle-paperwhite': { label: 'Kindle Paperwhite (11th/12th gen)', width: 1236, height: 1648, eink: true, gamma: 1.5, contrast: 1.1 },
+    'kindle-basic': { label: 'Kindle (2022)', width: 1072, height: 1448, eink: true, gamma: 1.5, contrast: 1.1 },
+    'kindle-oasis': { label: 'Kindle Oasis', width: 1264, height: 1680, eink: true, gamma: 1.5, contrast: 1.1 },
+    'kindle-scribe': { label: 'Kindle Scribe', width: 1860, height: 2480, eink: true, gamma: 1.4, contrast: 1.05 },
+    'kobo-clara': { label: 'Kobo Clara (HD / 2E / BW)', width: 1072, height: 1448, eink: true, gamma: 1.5, contrast: 1.1 },
+    'kobo-libra-colour': { label: 'Kobo Libra Colour', width: 1264, height: 1680, eink: true, color: true, gamma: 1.2, contrast: 1.1 },
+    'kobo-sage': { label: 'Kobo Sage', width: 1440, height: 1920, eink: true, gamma: 1.5, contrast: 1.1 },
+    'kobo-elipsa': { label: 'Kobo Elipsa 2E', width: 1404, height: 1872, eink: true, gamma: 1.4, contrast: 1.05 },
+    'remarkable-2': { label: 'reMarkable 2', width: 1404, height: 1872, eink: true, gamma: 1.4, contrast: 1.1 },
+    'ipad': { label: 'iPad (10th gen / Air 11")', width: 1640, height: 2360, quality: 85 },
+    'ipad-pro-13': { label: 'iPad Pro 13"', width: 2064, height: 2752, quality: 85 },
+    'android-tablet': { label: 'Android tablet (WUXGA)', width: 1200, height: 1920, quality: 85 }
+};
+
+// Fill the conversion parameters a profile defines, keeping the fields sent explicitly
+function applyDeviceProfile(params) {
+    const profile = DEVICE_PROFILES[params.profile];
+    // Original and optimize modes keep the source images untouched
+    if (!profile || ['original', 'optimize', 'repack'].includes(params.dpi)) return params;
+    const pick = (value, fallback) => (value === undefined || value === '' ? fallback : value);
+    return {
+        ...params,
+        // Pages are rendered sharp enough for the screen, then fitted inside it
+        dpi: pick(params.dpi, '300'),
+        maxWidth: pick(params.maxWidth, String(profile.width)),
+        maxHeight: pick(params.maxHeight, String(profile.height)),
+        colorMode: pick(params.colorMode, profile.eink && !profile.color ? 'gray' : 'jpeg'),
+        imgFormat: pick(params.imgFormat, 'jpeg'),
+        compression: pick(params.compression, String(profile.quality || 80)),
+        gamma: pick(params.gamma, profile.gamma ? String(profile.gamma) : undefined),
+        contrast: pick(params.contrast, profile.contrast ? String(profile.contrast) : undefined)
+    };
+}
+
+// Resize a page to fit inside width x height (never enlarged). Spreads that will be split afterwards
+// get two screens side by side, so each half still fills the screen.
+function fitInside(pipeline, box, pageWidth, pageHeight, splitRatio) {
+    const isSpread = splitRatio && pageWidth / pageHeight > splitRatio;
+    return pipeline.resize({
+        width: box.width ? box.width * (isSpread ? 2 : 1) : null,
+        height: box.height || null,
+        fit: 'inside',
+        withoutEnlargement: true
+    });
+}
+
+// Tone curve for e-ink screens: sharp's gamma(in, out) raises the levels to the power in/out
+function applyTone(pipeline, { gamma, contrast }) {
+    if (gamma && gamma !== 1) {
+        const g = Math.min(3, Math.max(1 / 3, gamma));
+        pipeline = g > 1 ? pipeline.gamma(g, 1) : pipeline.gamma(1, 1 / g);
+    }
+    if (contrast && contrast !== 1) pipeline = pipeline.linear(contrast, 128 * (1 - contrast));
+    return pipeline;
+}
+
+// --- IMAGE ENHANCEMENT ---
+
+// Reduce a grayscale raw buffer to `levels` evenly spaced gray levels, with Floyd-Steinberg error
+// diffusion when dithering (e-ink screens show 16 levels, 4 for fast refresh modes)
+function quantizeGray(data, width, height, levels, dither) {
+    const step = 255 / (levels - 1);
+    const out = Buffer.alloc(width * height);
+    const values = dither ? Float32Array.from(data) : null;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const value = dither ? values[i] : data[i];
+            const q = Math.min(255, Math.max(0, Math.round(value / step) * step));
+            out[i] = q;
+            if (!dither) continue;
+            const err = value - q;
+            if (x + 1 < width) values[i + 1] += err * 7 / 16;
+            if (y + 1 < height) {
+                if (x > 0) values[i + width - 1] += err * 3 / 16;
+                values[i + width] += err * 5 / 16;
+                if (x + 1 < width) values[i + width + 1] += err / 16;
+            }
+        }
+    }
+    return out;
+}
+
+// Optional corrections, applied after resizing. options: { normalize, denoise, sharpen (sigma),
+// grayLevels (4/16), dither, density }. Reduced palettes need the final pixels, so the pipeline
+// is rendered and a new (raw-backed) one returned, keeping the density.
+async function enhanceImage(pipeline, options) {
+    if (options.denoise) pipeline = pipeline.median(3);
+    if (options.normalize) pipeline = pipeline.normalise();
+    if (options.sharpen) pipeline = pipeline.sharpen({ sigma: options.sharpen });
+    if (options.grayLevels) {
+        const { data, info } = await pipeline.grayscale().raw().toBuffer({ resolveWithObject: true });
+        const gray = info.channels === 1 ? data : await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+            .extractChannel(0).raw().toBuffer();
+        const quantized = quantizeGray(gray, info.width, info.height, options.grayLevels, options.dither);
+        pipeline = sharp(quantized, { raw: { width: info.width, height: info.height, channels: 1 } }).toColourspace('b-w');
+        if (options.density) pipeline = pipeline.withMetadata({ density: options.density });
+    }
+    return pipeline;
+}
+
+// --- SIZE BUDGET ---
+
+// Page images of a work directory, in reading order (progress thumbnails excluded)
+function listPageImages(dir) {
+    return fs.readdirSync(dir)
+        .filter(f => !/^thumb_/i.test(f) && /\.(jpg|jpeg|png|webp|avif|tif|tiff|bmp|gif)$/i.test(f))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// Encode one page at a quality and width scale
+async function encodeBudgetPage(input, format, quality, scale) {
+    let pipeline = sharp(input);
+    if (scale < 1) {
+        const { width } = await pipeline.metadata();
+        pipeline = pipeline.resize({ width: Math.max(1, Math.round(width * scale)) });
+    }
+    return encodeImage(pipeline, format, quality);
+}
+
+// Re-encode the pages of a work directory so the volume fits in options.budget bytes.
+// The highest quality (then, with allowResize, the largest width) whose estimate fits is found by
+// binary search on a sample of pages; all pages are then encoded in a side directory and the real size
+// checked, lowering the quality a few times if the estimate was too optimistic.
+// options: { budget, format (lossy page format), maxQuality, allowResize, lossless }. With lossless (pages rendered
+// as PNG for this pass), the pages are always encoded, at maxQuality when they fit.
+// Returns the report stored in the task result.
+async function fitToSizeBudget(jobId, dir, options) {
+    const MIN_QUALITY = 30;
+    const files = listPageImages(dir);
+    const sizes = files.map(f => fs.statSync(path.join(dir, f)).size);
+    const currentSize = sizes.reduce((a, b) => a + b, 0);
+    // Archive headers and ComicInfo.xml: about 1 KB per page, plus a 2% safety margin
+    const target = Math.floor(options.budget * 0.98) - files.length * 1024;
+    const report = { targetSize: options.budget, format: null, quality: null, scale: 1, sourceSize: currentSize, size: currentSize, fits: currentSize <= target };
+    if (files.length === 0 || (!options.lossless && (report.fits || target <= 0))) return report;
+
+    // Evenly spaced sample, at most 6 pages; estimates are scaled by the share of bytes it represents
+    const step = Math.max(1, Math.floor(files.length / 6));
+    const sample = files.map((f, i) => i).filter(i => i % step === 0).slice(0, 6);
+    const sampleSize = sample.reduce((acc, i) => acc + sizes[i], 0);
+    const buffers = sample.map(i => fs.readFileSync(path.join(dir, files[i])));
+    const estimate = async (quality, scale) => {
+        throwIfCancelled(jobId);
+        let total = 0;
+        for (const buffer of buffers) total += (await (await encodeBudgetPage(buffer, options.format, quality, scale)).pipeline.toBuffer()).length;
+        return Math.round(total * currentSize / sampleSize);
+    };
+
+    const maxQuality = Math.max(MIN_QUALITY, Math.min(100, options.maxQuality || 80));
+    const scales = options.allowResize ? [1, 0.85, 0.7, 0.6, 0.5] : [1];
+    let choice = null;
+    for (const scale of scales) {
+        if (await estimate(MIN_QUALITY, scale) > target) continue;
+        let low = MIN_QUALITY, high = maxQuality;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (await estimate(mid, scale) <= target) low = mid; else high = mid - 1;
+        }
+        choice = { quality: low, scale };
+        break;
+    }
+    if (!choice) choice = { quality: MIN_QUALITY, scale: scales[scales.length - 1] };
+
+    const budgetDir = path.join(dir, '_budget');
+    for (let attempt = 0; attempt < 3; attempt++) {
+        fs.rmSync(budgetDir, { recursive: true, force: true });
+        fs.mkdirSync(budgetDir);
+        const encoded = await mapWithConcurrency(files, MAX_PAGE_WORKERS, async (f) => {
+            throwIfCancelled(jobId);
+            const { pipeline, ext } = await encodeBudgetPage(path.join(dir, f), options.format, choice.quality, choice.scale);
+            const name = path.parse(f).name + ext;
+            const info = await pipeline.toFile(path.join(budgetDir, name));
+            return { source: f, name, size: info.size };
+        });
+        const total = encoded.reduce((acc, e) => acc + e.size, 0);
+        Object.assign(report, { format: options.format, quality: choice.quality, scale: choice.scale, size: total, fits: total <= target });
+        if (report.fits || choice.quality <= MIN_QUALITY || attempt === 2) {
+            for (const e of encoded) {
+                fs.unlinkSync(path.join(dir, e.source));
+                fs.renameSync(path.join(budgetDir, e.name), path.join(dir, e.name));
+            }
+            break;
+        }
+        // Lower the quality in proportion to the overshoot
+        choice.quality = Math.max(MIN_QUALITY, Math.floor(choice.quality * target / total) - 2);
+    }
+    fs.rmSync(budgetDir, { recursive: true, force: true });
+    return report;
+}
+
+// --- LOSSLESS OPTIMIZATION ---
+
+// Files that are never pages: OS thumbnails/metadata and macOS resource forks
+function isJunkFile(name) {
+    const normalized = name.replace(/\\/g, '/').replace(/\/+$/, '');
+    const base = normalized.split('/').pop();
+    return /(^|\/)__MACOSX(\/|$)/i.test(normalized) || base.startsWith('.') || /^(thumbs\.db|desktop\.ini)$/i.test(base);
+}
+
+// Remove the metadata segments of a JPEG (Exif, XMP, comments...) without touching the compressed data.
+// JFIF, ICC profiles and Adobe markers change how pixels are displayed and are kept, so is an Exif block
+// when the image relies on its orientation. Returns null when the file cannot be parsed.
+function stripJpegMetadata(buffer, keepExif) {
+    if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) return null;
+    const parts = [buffer.subarray(0, 2)];
+    let pos = 2;
+    while (pos + 4 <= buffer.length) {
+        if (buffer[pos] !== 0xFF) return null;
+        const marker = buffer[pos + 1];
+        // Start of scan: the rest is entropy-coded data
+        if (marker === 0xDA) { parts.push(buffer.subarray(pos)); return Buffer.concat(parts); }
+        const length = buffer.readUInt16BE(pos + 2);
+        const segment = buffer.subarray(pos, pos + 2 + length);
+        const isApp = marker >= 0xE1 && marker <= 0xEF;
+        const keep = !(marker === 0xFE || (isApp && marker !== 0xE2 && marker !== 0xEE && !(marker === 0xE1 && keepExif)));
+        if (keep) parts.push(segment);
+        pos += 2 + length;
+    }
+    return null;
+}
+
+// Chunk types of a PNG file, in order (IHDR, iCCP, pHYs, IDAT...)
+function pngChunkTypes(buffer) {
+    const types = [];
+    for (let pos = 8; pos + 8 <= buffer.length; pos += 12 + buffer.readUInt32BE(pos)) types.push(buffer.toString('latin1', pos + 4, pos + 8));
+    return types;
+}
+
+// PNG chunks that change how the pixels are displayed (color profile, gamma, density)
+const PNG_DISPLAY_CHUNKS = ['iCCP', 'sRGB', 'gAMA', 'cHRM', 'pHYs'];
+
+// Optimize one page without changing its pixels; returns { before, after }
+async function optimizePage(jobId, filePath) {
+    const before = fs.statSync(filePath).size;
+    const ext = path.extname(filePath).toLowerCase();
+    let best = null;
+    if (ext === '.jpg' || ext === '.jpeg') {
+        let data = fs.readFileSync(filePath);
+        // Huffman tables optimized and progressive scans (jpegtran only rewrites the entropy coding)
+        if (toolCapabilities.jpegtran) {
+            const out = filePath + '.opt';
+            const ok = await new Promise(resolve => execFileJob(jobId, 'jpegtran', ['-copy', 'all', '-optimize', '-progressive', '-outfile', out, filePath], (err) => resolve(!err)));
+            if (ok && fs.existsSync(out)) {
+                const optimized = fs.readFileSync(out);
+                if (optimized.length > 0 && optimized.length < data.length) data = optimized;
+            }
+            fs.rmSync(out, { force: true });
+        }
+        let orientation = 1;
+        try { orientation = (await sharp(data).metadata()).orientation || 1; } catch (e) {}
+        best = stripJpegMetadata(data, orientation !== 1) || data;
+    } else if (ext === '.png') {
+        // Re-encoded at maximum compression, kept only when the decoded pixels are identical and the
+        // color profile, gamma and density chunks survived (sharp keeps iCCP and pHYs, drops gAMA/cHRM/sRGB)
+        const meta = await sharp(filePath).metadata();
+        if (meta.depth !== 'uchar') return { before, after: before };
+        const encoded = await sharp(filePath).keepIccProfile().png({ compressionLevel: 9, adaptiveFiltering: true, palette: !!meta.isPalette, colours: 256, dither: 0 }).toBuffer();
+        const encodedChunks = pngChunkTypes(encoded);
+        const lostChunk = pngChunkTypes(fs.readFileSync(filePath)).find(t => PNG_DISPLAY_CHUNKS.includes(t) && !encodedChunks.includes(t));
+        if (lostChunk) return { before, after: before };
+        const [a, b] = await Promise.all([
+            sharp(filePath).ensureAlpha().raw().toBuffer(),
+            sharp(encoded).ensureAlpha().raw().toBuffer()
+        ]);
+        if (a.equals(b) && encoded.length < before) {
+            fs.writeFileSync(filePath, encoded);
+            return { before, after: encoded.length };
+        }
+        return { before, after: before };
+    }
+    if (best && best.length < before) fs.writeFileSync(filePath, best);
+    return { before, after: best ? Math.min(best.length, before) : before };
+}
+
+// Lossless pass over the pages of a work directory; returns { pagesBefore, pagesAfter, optimizedPages }
+async function optimizePages(jobId, dir) {
+    const pages = listPageImages(dir);
+    const results = await mapWithConcurrency(pages, MAX_PAGE_WORKERS, async (f) => {
+        throwIfCancelled(jobId);
+        try {
+            return await optimizePage(jobId, path.join(dir, f));
+        } catch (e) {
+            if (e.cancelled) throw e;
+            logWarn(`[OPTIMIZE] ${f}:`, e.message);
+            const size = fs.statSync(path.join(dir, f)).size;
+            return { before: size, after: size };
+        }
+    });
+    return {
+        pagesBefore: results.reduce((acc, r) => acc + r.before, 0),
+        pagesAfter: results.reduce((acc, r) => acc + r.after, 0),
+        optimizedPages: results.filter(r => r.after < r.before).length
+    };
+}
+
+// --- DOUBLE PAGES ---
+
+// Page formats accepted for imgFormat (webp-lossless writes .webp files too)
+const PAGE_FORMATS = ['jpeg', 'png', 'tiff', 'webp', 'webp-lossless', 'avif'];
+
+// Encode a sharp pipeline in one of the page formats; returns the pipeline and the file extension to use.
+// quality is the JPEG-like value of the compression slider: AVIF reaches the same visual quality
+// with a lower setting, so it is scaled down.
+function encodeImage(pipeline, format, quality) {
+    if (format === 'png') return { pipeline: pipeline.png(), ext: '.png' };
+    if (format === 'tiff') return { pipeline: pipeline.tiff(), ext: '.tiff' };
+    if (format === 'webp') return { pipeline: pipeline.webp({ quality }), ext: '.webp' };
+    if (format === 'webp-lossless') return { pipeline: pipeline.webp({ lossless: true }), ext: '.webp' };
+    if (format === 'avif') return { pipeline: pipeline.avif({ quality: Math.max(1, Math.round(quality * 0.65)) }), ext: '.avif' };
+    return { pipeline: pipeline.jpeg({ quality }), ext: '.jpg' };
+}
+
+// Page format of an existing image file (used to keep the source format in Original mode)
+function imageFormatFromExt(fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    if (ext === '.png') return 'png';
+    if (ext === '.tif' || ext === '.tiff') return 'tiff';
+    if (ext === '.webp') return 'webp';
+    if (ext === '.avif') return 'avif';
+    return 'jpeg';
+}
+
+// Find the fold of a spread: the most uniform column (white margin or dark crease) in the middle 20% of the page.
+// Falls back to the exact middle when no column stands out.
+async function findGutter(imagePath, width) {
+    const sampleWidth = Math.min(width, 400);
+    const { data, info } = await sharp(imagePath).grayscale().resize({ width: sampleWidth }).raw().toBuffer({ resolveWithObject: true });
+    const from = Math.floor(info.width * 0.4);
+    const to = Math.ceil(info.width * 0.6);
+    const deviations = [];
+    for (let x = from; x < to; x++) {
+        let sum = 0, sumSq = 0;
+        for (let y = 0; y < info.height; y++) {
+            const v = data[y * info.width * info.channels + x * info.channels];
+            sum += v;
+            sumSq += v * v;
+        }
+        const mean = sum / info.height;
+        deviations.push({ x, dev: Math.sqrt(Math.max(0, sumSq / info.height - mean * mean)) });
+    }
+    const sorted = deviations.map(d => d.dev).sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const center = info.width / 2;
+    // Most uniform column, the closest to the center on ties
+    const best = deviations.reduce((a, b) => (b.dev < a.dev || (b.dev === a.dev && Math.abs(b.x - center) < Math.abs(a.x - center))) ? b : a);
+    if (!(best.dev < median * 0.5)) return Math.floor(width / 2);
+    return Math.round((best.x + 0.5) * width / info.width);
+}
+
+// Split the double pages of a work directory into two halves.
+// files: ordered page file names in dir. options: { ratio, gutter, keepCover, keepSpread, readingDir, format, quality }
+// (format null keeps the format of each source page). Returns one list of file names per input page, in reading
+// order ([spread, first half, second half] with keepSpread), so callers can map page indexes.
+async function splitDoublePages(jobId, dir, files, options) {
+    return mapWithConcurrency(files, MAX_PAGE_WORKERS, async (f, i) => {
+        throwIfCancelled(jobId);
+        if (i === 0 && options.keepCover) return [f];
+        const fullPath = path.join(dir, f);
+        try {
+            const meta = await sharp(fullPath).metadata();
+            if (!meta || !isDoublePage(meta.width, meta.height, options.ratio)) return [f];
+
+            const splitX = options.gutter ? await findGutter(fullPath, meta.width) : Math.floor(meta.width / 2);
+            const format = options.format || imageFormatFromExt(f);
+            const stem = path.parse(f).name;
+            const halves = [
+                { left: 0, width: splitX, suffix: 'a' },
+                { left: splitX, width: meta.width - splitX, suffix: 'b' }
+            ];
+            const names = [];
+            for (const half of halves) {
+                const encoded = encodeImage(sharp(fullPath).extract({ left: half.left, top: 0, width: half.width, height: meta.height }), format, options.quality);
+                const name = `${stem}_${half.suffix}${encoded.ext}`;
+                await encoded.pipeline.toFile(path.join(dir, name));
+                names.push(name);
+            }
+            if (options.readingDir === 'rtl') names.reverse();
+            if (options.keepSpread) return [f, ...names];
+            // Remove original wide file to avoid duplication
+            fs.unlinkSync(fullPath);
+            return names;
+        } catch (e) {
+            // On error, fall back to using the original file
+            logWarn(`Split error (${f}):`, e.message);
+            return [f];
         }
     });
 }
 
-// Progressive thumbnail UI feature flag
-// Enabled by default (can be disabled with FEATURE_PROGRESS_THUMBNAIL=0)
-const FEATURE_PROGRESS_THUMBNAIL = process.env.FEATURE_PROGRESS_THUMBNAIL !== '0';
+// Rename the pages of a work directory to 001.ext, 002.ext... in the given order (in two passes, so a new
+// name never overwrites a page that has not been moved yet); returns the new names
+function renumberPages(dir, files) {
+    const padding = Math.max(3, files.length.toString().length);
+    const staged = files.map((f, idx) => {
+        const tmp = `renum_${idx}${path.extname(f).toLowerCase()}`;
+        fs.renameSync(path.join(dir, f), path.join(dir, tmp));
+        return tmp;
+    });
+    return staged.map((tmp, idx) => {
+        const name = `${(idx + 1).toString().padStart(padding, '0')}${path.extname(tmp)}`;
+        fs.renameSync(path.join(dir, tmp), path.join(dir, name));
+        return name;
+    });
+}
 
-const OUTPUT_DIR = process.env.OUTPUT_DIR || path.join(__dirname, 'output');
-if (!fs.existsSync(OUTPUT_DIR)) {
-    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+// Chapter separator page: the chapter title centered on a white page of the given size
+function createSeparatorPage(title, width, height) {
+    const fontSize = Math.round(width / 14);
+    // Greedy word wrap, about 16 characters per line at this font size
+    const lines = [];
+    for (const word of String(title).split(/\s+/).filter(Boolean)) {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && (last + ' ' + word).length <= 16) lines[lines.length - 1] = last + ' ' + word;
+        else lines.push(word);
+    }
+    const top = height / 2 - ((lines.length - 1) * fontSize * 1.25) / 2;
+    const tspans = lines.map((line, i) => `<tspan x="50%" y="${Math.round(top + i * fontSize * 1.25)}">${escapeXml(line)}</tspan>`).join('');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<rect width="100%" height="100%" fill="#fff"/>` +
+        `<text text-anchor="middle" dominant-baseline="middle" font-family="DejaVu Sans, sans-serif" font-size="${fontSize}" fill="#000">${tspans}</text></svg>`;
+    return sharp(Buffer.from(svg)).flatten({ background: '#ffffff' });
 }
 
-// SSE endpoint for progress updates
-app.get('/events', (req, res) => {
-    const requestId = req.query.requestId;
-    if (!requestId) return res.status(400).end();
+// --- SCAN CLEANUP (auto-crop / deskew) ---
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders();
+// Width of the grayscale copy used to analyse borders and skew
+const SCAN_ANALYSIS_WIDTH = 600;
 
-    logDebug(`[DEBUG] SSE connection registered for ID: ${requestId}`);
-    activeConnections[requestId] = res;
+// Background level of a grayscale page: median of its outer rows/columns
+function borderBackground(data, width, height) {
+    const values = [];
+    for (let x = 0; x < width; x++) values.push(data[x], data[(height - 1) * width + x]);
+    for (let y = 0; y < height; y++) values.push(data[y * width], data[y * width + width - 1]);
+    values.sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+}
 
-    req.on('close', () => {
-        delete activeConnections[requestId];
+// Skew angle (degrees, -5..5) maximising the contrast of the horizontal projection of the content pixels;
+// returns the rotation that straightens the page (0 below 0.3°)
+function estimateSkew(data, width, height, background, tolerance) {
+    const points = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (Math.abs(data[y * width + x] - background) > tolerance) points.push(x, y);
+        }
+    }
+    if (points.length < 200) return 0;
+    const stride = Math.max(1, Math.floor(points.length / 2 / 20000)) * 2;
+    let best = { angle: 0, score: -1 };
+    for (let angle = -5; angle <= 5.001; angle += 0.2) {
+        const rad = angle * Math.PI / 180;
+        const sin = Math.sin(rad), cos = Math.cos(rad);
+        const bins = new Map();
+        for (let i = 0; i < points.length; i += stride) {
+            const row = Math.round(points[i + 1] * cos - points[i] * sin);
+            bins.set(row, (bins.get(row) || 0) + 1);
+        }
+        let score = 0;
+        for (const count of bins.values()) score += count * count;
+        if (score > best.score) best = { angle, score };
+    }
+    return Math.abs(best.angle) < 0.3 ? 0 : -Math.round(best.angle * 10) / 10;
+}
+
+// Content box of a grayscale page, as fractions of its size: rows/columns where fewer than 0.5% of the
+// pixels differ from the background are borders. Returns null when no sensible box is found.
+function detectContentBox(data, width, height, background, tolerance) {
+    const isContentRow = (y) => {
+        let count = 0;
+        for (let x = 0; x < width; x++) if (Math.abs(data[y * width + x] - background) > tolerance) count++;
+        return count > Math.max(1, width * 0.005);
+    };
+    const isContentCol = (x) => {
+        let count = 0;
+        for (let y = 0; y < height; y++) if (Math.abs(data[y * width + x] - background) > tolerance) count++;
+        return count > Math.max(1, height * 0.005);
+    };
+    let top = 0, bottom = height - 1, left = 0, right = width - 1;
+    while (top < bottom && !isContentRow(top)) top++;
+    while (bottom > top && !isContentRow(bottom)) bottom--;
+    while (left < right && !isContentCol(left)) left++;
+    while (right > left && !isContentCol(right)) right--;
+    const box = { left: left / width, top: top / height, right: (right + 1) / width, bottom: (bottom + 1) / height };
+    // Nearly blank pages (or failed detection) are not cropped
+    if (box.right - box.left < 0.4 || box.bottom - box.top < 0.4) return null;
+    return box;
+}
+
+// Analyse a page (sharp pipeline, already rotated by the user) on a small grayscale copy.
+// options: { crop, deskew, tolerance (0-255) }. Returns { angle, box, background }
+async function analyzeScan(pipeline, options) {
+    const { data, info } = await pipeline.clone().grayscale()
+        .resize({ width: SCAN_ANALYSIS_WIDTH, withoutEnlargement: true })
+        .raw().toBuffer({ resolveWithObject: true });
+    const background = borderBackground(data, info.width, info.height);
+    const angle = options.deskew ? estimateSkew(data, info.width, info.height, background, options.tolerance) : 0;
+    let box = null;
+    if (options.crop) {
+        let gray = { data, width: info.width, height: info.height };
+        if (angle) {
+            const rotated = await sharp(data, { raw: { width: info.width, height: info.height, channels: 1 } })
+                .rotate(angle, { background: { r: background, g: background, b: background } })
+                .extractChannel(0).raw().toBuffer({ resolveWithObject: true });
+            gray = { data: rotated.data, width: rotated.info.width, height: rotated.info.height };
+        }
+        box = detectContentBox(gray.data, gray.width, gray.height, background, options.tolerance);
+    }
+    return { angle, box, background };
+}
+
+// Union of the content boxes of a volume, so every page gets the same crop (spreads keep their own box)
+async function computeVolumeCropBox(jobId, inputs, rotAngle, options) {
+    const boxes = await mapWithConcurrency(inputs, MAX_PAGE_WORKERS, async (input) => {
+        throwIfCancelled(jobId);
+        try {
+            let pipeline = sharp(input);
+            const meta = await pipeline.metadata();
+            if (isDoublePage(meta.width, meta.height)) return null;
+            if (rotAngle !== 0) pipeline = pipeline.rotate(rotAngle);
+            return (await analyzeScan(pipeline, options)).box;
+        } catch (e) {
+            return null;
+        }
     });
-});
+    const valid = boxes.filter(Boolean);
+    if (valid.length === 0) return null;
+    return {
+        left: Math.min(...valid.map(b => b.left)),
+        top: Math.min(...valid.map(b => b.top)),
+        right: Math.max(...valid.map(b => b.right)),
+        bottom: Math.max(...valid.map(b => b.bottom))
+    };
+}
 
-// Endpoint to receive client-side logs
-app.post('/client-log', (req, res) => {
-    const { message } = req.body;
-    if (message) {
-        logInfo(`[UI] ${message}`);
+// Deskew and trim the borders of a page. options: { crop, deskew, tolerance, margin (fraction per side),
+// volumeBox (fraction box shared by the volume) }. Returns the cleaned pipeline and the source density
+// (lost by the raw intermediate image).
+async function cleanupScan(pipeline, options) {
+    const { density } = await pipeline.metadata();
+    const analysis = await analyzeScan(pipeline, options);
+    const bg = { r: analysis.background, g: analysis.background, b: analysis.background };
+
+    let { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    if (analysis.angle) {
+        ({ data, info } = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } }).rotate(analysis.angle, { background: bg }).raw().toBuffer({ resolveWithObject: true }));
     }
-    res.sendStatus(200);
-});
+    let cleaned = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
 
-function sendProgress(requestId, data) {
-    if (activeConnections[requestId]) {
-        activeConnections[requestId].write(`data: ${JSON.stringify(data)}\n\n`);
-        // Detailed logging for progress events
-        if (data.type === 'progress') {
-            logDebug(`[SSE SENT] type:${data.type} | file:${data.currentFileIndex}/${data.totalFiles} | pages:${data.currentPages}/${data.totalPages} | pct:${data.currentPct}%`);
-        } else if (data.type === 'thumbnail-init') {
-            logDebug(`[SSE SENT] type:thumbnail-init | ${data.color ? 'color thumbnail' : 'no color'}`);
+    const useVolumeBox = options.volumeBox && !isDoublePage(info.width, info.height);
+    const box = useVolumeBox ? options.volumeBox : analysis.box;
+    if (options.crop && box) {
+        const left = Math.max(0, Math.floor((box.left - options.margin) * info.width));
+        const top = Math.max(0, Math.floor((box.top - options.margin) * info.height));
+        const right = Math.min(info.width, Math.ceil((box.right + options.margin) * info.width));
+        const bottom = Math.min(info.height, Math.ceil((box.bottom + options.margin) * info.height));
+        if (right - left > 0 && bottom - top > 0 && (right - left < info.width || bottom - top < info.height)) {
+            cleaned = sharp(await cleaned.extract({ left, top, width: right - left, height: bottom - top }).raw().toBuffer(),
+                { raw: { width: right - left, height: bottom - top, channels: info.channels } });
         }
+    }
+    return { pipeline: cleaned, density, angle: analysis.angle };
+}
+
+// --- OUTPUT NAMING ---
+
+// Volume / chapter markers: "T12", "Tome 3", "Vol. 2", "v02", "Chapitre 4", "Ch.10", "c045", "#7"
+const VOLUME_MARKER = /(?:^|[\s\-([])(?:T|Tome|Vol(?:ume)?\.?|v)\s*(\d{1,4})(?=$|[\s\-)\]])/i;
+const CHAPTER_MARKER = /(?:^|[\s\-([])(?:Ch(?:ap(?:ter|itre)?)?\.?|c|#|Ep(?:isode)?\.?)\s*(\d{1,4}(?:\.\d+)?)(?=$|[\s\-)\]])/i;
+
+function trimSeparators(str) {
+    return str.replace(/^[\s\-–_,.:]+|[\s\-–_,:(\[]+$/g, '').replace(/\s+/g, ' ');
+}
+
+// Detect series, volume, chapter and title from a file name, e.g. "Gaston T12 - Lagaffe.pdf"
+function parseFileName(fileName) {
+    // Folder names ("Vol.3") have no extension: only strip a suffix containing a letter
+    const name = fileName.replace(/\\/g, '/').split('/').pop()
+        .replace(/\.(?=[^.]*[a-z])[a-z0-9]{1,5}$/i, '')
+        .replace(/_\d{13}_[a-f0-9\-]{36}$/i, '');
+    const fields = { name, series: '', volume: '', chapter: '', title: '', year: '' };
+
+    let base = name.replace(/_/g, ' ');
+    const year = base.match(/[(\[]((?:19|20)\d{2})[)\]]/);
+    if (year) fields.year = year[1];
+    // Bracketed tags ("(2004)", "[Digital]", "(fr)") are not part of the series or title
+    base = base.replace(/\s*[(\[][^)\]]*[)\]]/g, ' ').trim();
+
+    const markers = [VOLUME_MARKER, CHAPTER_MARKER]
+        .map(re => ({ re, m: base.match(re) }))
+        .filter(x => x.m);
+    if (markers.length > 0) {
+        const volume = markers.find(x => x.re === VOLUME_MARKER);
+        const chapter = markers.find(x => x.re === CHAPTER_MARKER);
+        if (volume) fields.volume = String(parseInt(volume.m[1]));
+        if (chapter) fields.chapter = chapter.m[1].replace(/^0+(?=\d)/, '');
+        const first = Math.min(...markers.map(x => x.m.index));
+        const last = Math.max(...markers.map(x => x.m.index + x.m[0].length));
+        fields.series = trimSeparators(base.substring(0, first));
+        fields.title = trimSeparators(base.substring(last));
     } else {
-        logWarn(`[SSE DROP] No connection for ID: ${requestId} | Event: ${data.type}`);
+        // "Spirou 45 - Title": a bare number after the series is a volume
+        const bare = base.match(/^(.*?\D)\s+(\d{1,4})(?:\s*[-–]\s*(.*))?$/);
+        if (bare) {
+            fields.series = trimSeparators(bare[1]);
+            fields.volume = String(parseInt(bare[2]));
+            fields.title = trimSeparators(bare[3] || '');
+        } else {
+            fields.series = trimSeparators(base);
+        }
+    }
+    if (!fields.series) fields.series = trimSeparators(base) || name;
+    return fields;
+}
+
+// Remove characters that are invalid in file names on Windows/Linux, and trailing dots/spaces
+function sanitizePathSegment(segment) {
+    return segment
+        .replace(/[<>:"|?*\x00-\x1f\\]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.\-]+|[\s.\-]+$/g, '');
+}
+
+// Render an output naming template into a path relative to OUTPUT_DIR.
+// Placeholders: {series} {volume} {chapter} {number} {title} {year} {name} {ext} and any lower-cased ComicInfo field
+// ({writer}, {publisher}...). {volume:02} pads numbers with zeros. A "[...]" section is dropped when one of its
+// placeholders is empty, e.g. "{series}/{series}[ - T{volume:02}][ - {title}].{ext}". "/" creates sub-folders.
+function buildOutputName(template, sourceName, ext, metadata = {}) {
+    const fields = parseFileName(sourceName);
+    for (const [key, value] of Object.entries(metadata)) fields[key.toLowerCase()] = value;
+    if (!fields.number) fields.number = fields.chapter || fields.volume;
+    fields.ext = ext;
+
+    let missing = false;
+    const renderField = (m, key, pad) => {
+        const value = fields[key.toLowerCase()];
+        if (value === undefined || value === null || value === '') {
+            missing = true;
+            return '';
+        }
+        const str = String(value).replace(/[\/\\]/g, '-');
+        if (pad && /^\d+(\.\d+)?$/.test(str)) {
+            const [int, dec] = str.split('.');
+            return int.padStart(parseInt(pad), '0') + (dec ? '.' + dec : '');
+        }
+        return str;
+    };
+    const placeholder = /\{(\w+)(?::(\d+))?\}/g;
+    const rendered = String(template || OUTPUT_TEMPLATE)
+        .replace(/\[([^\[\]]*)\]/g, (m, section) => {
+            missing = false;
+            const out = section.replace(placeholder, renderField);
+            return missing ? '' : out;
+        })
+        .replace(placeholder, renderField);
+
+    const segments = rendered.split(/[\/\\]/).map(sanitizePathSegment).filter(s => s && s !== '.' && s !== '..');
+    let fileName = segments.pop() || '';
+    // A template without {ext} still gets the right extension, an empty name falls back to the source name
+    if (!fileName || fileName === ext) fileName = ext ? `${fields.name}.${ext}` : fields.name;
+    else if (ext && !fileName.toLowerCase().endsWith(`.${ext}`)) fileName = `${fileName}.${ext}`;
+    return [...segments, fileName].join('/');
+}
+
+// Place an output name in a sub-folder of OUTPUT_DIR (the folder structure of a dropped folder)
+function prefixOutputDir(outputDir, outputName) {
+    const segments = String(outputDir || '').split(/[\/\\]/).map(sanitizePathSegment).filter(s => s && s !== '.' && s !== '..');
+    return [...segments, outputName].join('/');
+}
+
+// Absolute path in OUTPUT_DIR for a name produced by buildOutputName (creates its sub-folders)
+function resolveOutputPath(outputName) {
+    const outputPath = path.resolve(OUTPUT_DIR, ...outputName.split('/'));
+    if (!outputPath.startsWith(path.resolve(OUTPUT_DIR) + path.sep)) throw new Error(`Invalid output name: ${outputName}`);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    return outputPath;
+}
+
+// Output paths claimed by running tasks, so two tasks never pick the same renamed name
+const reservedOutputs = new Set();
+
+// Apply the collision policy to an output name. Returns { name, path, collision } where collision is
+// null (free name), 'overwritten', 'renamed' or 'skipped'. sourceTime is the modification time (ms) of the
+// newest source file: the 'newest' policy only replaces an existing output older than the sources.
+function resolveOutputCollision(jobId, outputName, policy, sourceTime) {
+    const outputPath = resolveOutputPath(outputName);
+    const taken = (p) => fs.existsSync(p) || reservedOutputs.has(p);
+    const result = { name: outputName, path: outputPath, collision: null };
+
+    if (taken(outputPath)) {
+        // An output that another task is still writing is never replaced (both would write the same file):
+        // 'overwrite' and 'newest' give the new output another name instead
+        const inProgress = reservedOutputs.has(outputPath);
+        if (policy === 'skip') {
+            result.collision = 'skipped';
+        } else if (policy === 'newest' && !inProgress) {
+            let existingTime = 0;
+            try { existingTime = fs.statSync(outputPath).mtimeMs; } catch(e) {}
+            result.collision = sourceTime > existingTime ? 'overwritten' : 'skipped';
+        } else if (policy === 'overwrite' && !inProgress) {
+            result.collision = 'overwritten';
+        } else {
+            // "name (1).cbz", "name (2).cbz"... (folders: "name (1)")
+            const ext = /\.kepub\.epub$/i.test(outputName) ? '.kepub.epub' : path.extname(outputName);
+            const isFolder = !ext || (fs.existsSync(outputPath) && fs.statSync(outputPath).isDirectory());
+            const stem = isFolder ? outputName : outputName.slice(0, -ext.length);
+            for (let n = 1; ; n++) {
+                const candidate = isFolder ? `${stem} (${n})` : `${stem} (${n})${ext}`;
+                const candidatePath = resolveOutputPath(candidate);
+                if (!taken(candidatePath)) {
+                    result.name = candidate;
+                    result.path = candidatePath;
+                    break;
+                }
+            }
+            result.collision = 'renamed';
+        }
+    }
+
+    if (result.collision !== 'skipped') {
+        reservedOutputs.add(result.path);
+        if (jobRuntime[jobId]) jobRuntime[jobId].outputs.add(result.path);
     }
+    if (result.collision) logInfo(`[COLLISION] ${outputName}: ${result.collision}${result.collision === 'renamed' ? ` -> ${result.name}` : ''}`);
+    return result;
+}
+
+// Output formats accepted by /convert (anything else falls back to cbz)
+const OUTPUT_FORMATS = ['cbz', 'cbt', 'cb7', 'cbr', 'pdf', 'rar4', 'epub', 'kepub', 'folder'];
+
+// Output extension for a target format ('' for folder output)
+function outputExtension(safeFormat) {
+    if (safeFormat === 'folder') return '';
+    if (safeFormat === 'kepub') return 'kepub.epub';
+    return safeFormat === 'rar4' ? 'cbr' : safeFormat;
 }
 
-// Helper to get PDF page count (Linux/Windows compatible)
-function getPageCount(filePath) {
+// Helper to read pdfinfo fields (Pages, Title, Author, Subject, CreationDate...) (Linux/Windows compatible)
+function getPdfInfo(jobId, filePath, password = '') {
     return new Promise((resolve) => {
-        execFile(pdfinfoPath, [filePath], (error, stdout) => {
+        execFileJob(jobId, pdfinfoPath, ['-isodates', ...passwordArgs(pdfinfoPath, password), filePath], { timeout: PROBE_TIMEOUT_MS }, (error, stdout) => {
             if (error) {
                 resolve(null);
                 return;
             }
-            const match = stdout.match(/Pages:\s+(\d+)/);
-            resolve(match ? parseInt(match[1]) : null);
+            const info = {};
+            for (const line of stdout.split(/\r?\n/)) {
+                const m = line.match(/^([^:]+):\s*(.*)$/);
+                if (m) info[m[1].trim()] = m[2].trim();
+            }
+            resolve(info);
+        });
+    });
+}
+
+// Helper to get PDF page count
+async function getPageCount(filePath) {
+    const info = await getPdfInfo(null, filePath);
+    return info && info.Pages ? parseInt(info.Pages) : null;
+}
+
+// PDF outline (bookmarks) as a flat list of { title, page, level }, read from the pdftohtml XML output
+function getPdfOutline(jobId, filePath, password = '') {
+    return new Promise((resolve) => {
+        execFileJob(jobId, pdftohtmlPath, ['-xml', '-i', '-q', '-stdout', '-f', '1', '-l', '1', ...passwordArgs(pdftohtmlPath, password), filePath], { timeout: PROBE_TIMEOUT_MS }, (error, stdout) => {
+            if (error || !stdout) {
+                resolve([]);
+                return;
+            }
+            const outline = [];
+            let level = -1;
+            for (const m of stdout.matchAll(/<outline>|<\/outline>|<item(?: page="(\d+)")?>([\s\S]*?)<\/item>/g)) {
+                if (m[0] === '<outline>') level++;
+                else if (m[0] === '</outline>') level--;
+                else if (m[1]) {
+                    const title = unescapeXml(m[2].replace(/<[^>]+>/g, '')).trim();
+                    if (title) outline.push({ title, page: parseInt(m[1]), level: Math.max(0, level) });
+                }
+            }
+            resolve(outline);
         });
     });
 }
 
-// Route d'analyse préalable (comptage des pages pour les archives)
-app.post('/analyze', upload.single('file'), (req, res) => {
+// ComicInfo.xml of an archive (ZIP read natively, other formats through 7z/rar), or null
+function readArchiveComicInfo(filePath) {
+    return new Promise((resolve) => {
+        try {
+            const fd = fs.openSync(filePath, 'r');
+            const magic = Buffer.alloc(4);
+            fs.readSync(fd, magic, 0, 4, 0);
+            fs.closeSync(fd);
+            if (magic.toString('hex') === '504b0304') {
+                // Only the ComicInfo.xml entry is read, through the central directory
+                const zipFd = fs.openSync(filePath, 'r');
+                try {
+                    const entry = readZipDirectory(zipFd, fs.fstatSync(zipFd).size, path.basename(filePath)).files
+                        .find(e => !e.name.endsWith('/') && path.basename(e.name).toLowerCase() === 'comicinfo.xml');
+                    resolve(entry ? readZipEntry(zipFd, entry, path.basename(filePath)).toString('utf8') : null);
+                } finally {
+                    fs.closeSync(zipFd);
+                }
+                return;
+            }
+            const isRar = magic.toString('hex') === '52617221';
+            const [tool, args] = isRar && toolCapabilities.rar
+                ? ['rar', ['p', '-inul', filePath, '*ComicInfo.xml']]
+                : ['7z', ['e', '-so', '-r', filePath, 'ComicInfo.xml']];
+            execFileJob(null, tool, args, { stdio: ['ignore', 'pipe', 'pipe'], timeout: PROBE_TIMEOUT_MS }, (err, stdout) => {
+                resolve(!err && stdout && stdout.includes('<ComicInfo') ? stdout : null);
+            });
+        } catch (e) {
+            resolve(null);
+        }
+    });
+}
+
+// Output names preview for the file list (same parser and template as the conversion)
+app.post('/output-names', (req, res) => {
+    const { template, format, files } = req.body || {};
+    if (!Array.isArray(files)) return res.status(400).json({ error: 'files must be an array' });
+    const ext = outputExtension(OUTPUT_FORMATS.includes(format) ? format : 'cbz');
+    const names = files.map(f => buildOutputName(template || OUTPUT_TEMPLATE, String((f && f.name) || ''), ext, parseComicMetadata(f && f.metadata)));
+    res.json({ template: template || OUTPUT_TEMPLATE, names });
+});
+
+// Route d'analyse préalable (comptage des pages, métadonnées et signets de la source)
+app.post('/analyze', upload.single('file'), async (req, res) => {
     if (!req.file) return res.status(400).json({ pages: 0 });
     
     let filePath = req.file.path;
+    const detected = detectInputType(filePath);
     
-    // Rename with correct extension for 7z detection
-    const ext = path.extname(req.file.originalname).toLowerCase();
+    // Rename with the extension of the real format for 7z detection
+    const ext = detected.ext;
     if (ext && !filePath.toLowerCase().endsWith(ext)) {
         const newPath = filePath + ext;
         try { fs.renameSync(filePath, newPath); filePath = newPath; }
         catch(e) { console.error("Analyze rename error:", e); }
     }
+    const cleanup = () => {
+        // Nettoyage du fichier temporaire immédiatement après l'analyse
+        try { fs.unlinkSync(filePath); } catch(e) { console.error("Cleanup error:", e); }
+    };
+
+    // Same checks as the conversion: the file list shows the error before anything is converted
+    try {
+        await validateInput(null, filePath, req.file.originalname, detected);
+    } catch (e) {
+        cleanup();
+        return res.status(422).json({ pages: 0, type: detected.type, error: e.message, passwordRequired: !!e.passwordRequired });
+    }
+
+    if (detected.kind === 'image') {
+        cleanup();
+        return res.json({ pages: 1, type: detected.type, metadata: {} });
+    }
+
+    if (detected.kind === 'pdf') {
+        const [info, outline] = await Promise.all([getPdfInfo(null, filePath), getPdfOutline(null, filePath)]);
+        cleanup();
+        if (!info) logWarn("Analyzer error (pdfinfo):", req.file.originalname);
+        return res.json({
+            pages: info && info.Pages ? parseInt(info.Pages) : 1,
+            type: detected.type,
+            metadata: info ? pdfInfoToComicMetadata(info) : {},
+            outline
+        });
+    }
+
+    const comicInfoXml = await readArchiveComicInfo(filePath);
+    const metadata = comicInfoXml ? parseComicInfoXml(comicInfoXml).metadata : {};
 
     // Utilisation de 7z pour lister le contenu sans extraire
     // Note: On suppose que '7z' est dans le PATH système, comme pour la conversion
-    exec(`7z l "${filePath}"`, (err, stdout, stderr) => {
-        // Nettoyage du fichier temporaire immédiatement après l'analyse
-        try { fs.unlinkSync(filePath); } catch(e) { console.error("Cleanup error:", e); }
+    execFileJob(null, '7z', ['l', filePath], { stdio: ['ignore', 'pipe', 'pipe'], timeout: PROBE_TIMEOUT_MS }, (err, stdout, stderr) => {
+        cleanup();
 
         if (err) {
             logWarn("Analyzer error (7z):", err.message);
             // Fallback: 1 page par défaut si échec
-            return res.json({ pages: 1 });
+            return res.json({ pages: 1, type: detected.type, metadata });
         }
 
         // Parsing de la sortie de 7z l
@@ -220,152 +2517,361 @@ app.post('/analyze', upload.single('file'), (req, res) => {
         for (const line of lines) {
             // Regex simplifiée pour détecter les extensions d'images dans la sortie 7z
             // 7z affiche : Date Time Attr Size Compressed Name
-            if (/\.(jpg|jpeg|png|gif|webp|tiff|bmp)$/i.test(line) && !line.includes('__MACOSX') && !line.includes('thumbs.db')) {
+            if (/\.(jpg|jpeg|png|gif|webp|avif|tiff|bmp)$/i.test(line) && !line.includes('__MACOSX') && !line.includes('thumbs.db')) {
                 count++;
             }
         }
         
-        res.json({ pages: count || 1 });
+        res.json({ pages: count || 1, type: detected.type, metadata });
     });
 });
 
-// Route principale de conversion
-app.post('/convert', upload.array('files'), async (req, res) => {
-    const { dpi, maxWidth, colorMode, pageStart, pageEnd, format, compression, archiveCompression, imgFormat, requestId, rotation, splitDouble, readingDir } = req.body;
-    const isOriginal = dpi === 'original';
-    const rotAngle = rotation ? parseInt(rotation) : 0;
-    const maxW = maxWidth ? parseInt(maxWidth) : null;
-    logInfo(`[REQUEST PARAMS] dpi="${dpi}", maxWidth="${maxWidth}", maxW=${maxW}, isOriginal=${isOriginal}`);
-    const files = req.files;
-
-    if (!files || files.length === 0) {
-        return res.status(400).send('No files uploaded.');
-    }
-
-    // Restore full paths if provided by client (for folder drag & drop)
-    try {
-        if (req.body.filePaths) {
-            const paths = JSON.parse(req.body.filePaths);
-            if (Array.isArray(paths) && paths.length === files.length) {
-                files.forEach((f, i) => {
-                    if (paths[i]) f.originalname = paths[i];
-                });
-            }
-        }
-    } catch (e) {
-        logWarn("Error parsing filePaths:", e);
-    }
+// Conversion worker: runs every task of a queued job and returns its final statistics
+async function runJob(job) {
+    // A device profile only fills the settings that were not sent explicitly
+    const params = applyDeviceProfile(job.params);
+    const { dpi, maxWidth, maxHeight, colorMode, pageStart, pageEnd, format, compression, archiveCompression, imgFormat, rotation, splitDouble, readingDir } = params;
+    const requestId = job.id;
+    // Optimize mode: Original extraction plus a lossless pass, nothing that changes the pixels.
+    // Repack mode: archive pages moved to the target archive format as they are (bytes, names, ComicInfo.xml)
+    const isOptimize = dpi === 'optimize';
+    const isRepack = dpi === 'repack';
+    const keepPixels = isOptimize || isRepack;
+    const isOriginal = dpi === 'original' || keepPixels;
+    const repackArchives = isRepack && ['cbz', 'cbt', 'cb7', 'cbr', 'rar4'].includes(format);
+    const rotAngle = rotation && !keepPixels ? parseInt(rotation) : 0;
+    const maxW = maxWidth && !keepPixels ? parseInt(maxWidth) : null;
+    // With a height, pages are fitted inside maxW x maxH (never enlarged) instead of scaled to maxW
+    const maxH = maxHeight && !keepPixels ? parseInt(maxHeight) : null;
+    const screenBox = maxH > 0 ? { width: maxW > 0 ? maxW : null, height: maxH } : null;
+    const tone = { gamma: parseFloat(params.gamma) || 1, contrast: parseFloat(params.contrast) || 1 };
+    const toneEnabled = !isOriginal && (tone.gamma !== 1 || tone.contrast !== 1);
+    logInfo(`[REQUEST PARAMS] dpi="${dpi}", maxWidth="${maxWidth}", maxW=${maxW}, maxH=${maxH}, profile=${params.profile || 'none'}, isOriginal=${isOriginal}`);
+    const files = job.files;
 
-    // Helper: is this a PDF?
-    const isPdf = (filename) => filename.toLowerCase().endsWith('.pdf');
+    // Input types come from the file content (see detectInputType), whatever the extension says
+    const inputTypes = new Map(files.map(f => [f, detectInputType(f.path)]));
+    // Passwords of encrypted inputs (in memory only, see startJob)
+    const passwords = (jobRuntime[job.id] && jobRuntime[job.id].passwords) || new Map();
     
     // Original mode: no rendering, pdfimages only
     const dpiVal = isOriginal ? null : (dpi ? parseInt(dpi) : 225);
     const compVal = compression ? parseInt(compression) : 80;
+    // Page format: pdfkit only embeds JPEG/PNG, so WebP/AVIF fall back to JPEG for PDF output. EPUB readers
+    // display JPEG/PNG/WebP (Kobo: JPEG/PNG only)
+    let safeImgFormat = PAGE_FORMATS.includes((imgFormat || '').toLowerCase()) ? imgFormat.toLowerCase() : 'jpeg';
+    if (format === 'pdf' && ['webp', 'webp-lossless', 'avif'].includes(safeImgFormat)) safeImgFormat = 'jpeg';
+    if (format === 'epub' && ['tiff', 'avif'].includes(safeImgFormat)) safeImgFormat = 'jpeg';
+    if (format === 'kepub' && ['tiff', 'webp', 'webp-lossless', 'avif'].includes(safeImgFormat)) safeImgFormat = 'jpeg';
+    // Size budget per volume (targetSize in MB): pages are re-encoded in a lossy format to fit, see fitToSizeBudget.
+    // Rendered pages stay lossless (PNG) until then, so each page is encoded in the lossy format only once.
+    const targetSize = parseFloat(params.targetSize) > 0 && !keepPixels ? Math.round(parseFloat(params.targetSize) * 1024 * 1024) : null;
+    const budgetFormat = ['jpeg', 'webp', 'avif'].includes(safeImgFormat) ? safeImgFormat : 'jpeg';
+    const budgetEncodes = !!targetSize && !!sharp && !isOriginal;
+    if (budgetEncodes) safeImgFormat = 'png';
+    // pdftoppm cannot write WebP/AVIF: pages are rendered as PNG and encoded after rendering
+    const reencodeRender = ['webp', 'webp-lossless', 'avif'].includes(safeImgFormat);
     const archCompVal = archiveCompression !== undefined ? parseInt(archiveCompression) : 5;
+    // ComicInfo.xml is embedded in archive outputs unless explicitly disabled (comicInfo=0)
+    const comicInfoEnabled = job.params.comicInfo !== '0' && job.params.comicInfo !== 'false';
+    const comicMetadata = parseComicMetadata(job.params.metadata);
+    const outputTemplate = job.params.outputTemplate || OUTPUT_TEMPLATE;
+    const collisionPolicy = COLLISION_POLICIES.includes(job.params.onCollision) ? job.params.onCollision : ON_COLLISION;
+    // Per dropped folder: 'chapters' (sub-folders merged into one volume) or 'volumes' (one volume per sub-folder)
+    let folderModes = {};
+    try { folderModes = JSON.parse(job.params.folderModes || '{}') || {}; } catch (e) { logWarn('Invalid folderModes JSON:', e.message); }
+    const isEnabled = (value) => value === '1' || value === 'true' || value === true;
+    // Repack: renumber pages (001.jpg...) instead of keeping the source names and folders
+    const repackRenumber = isEnabled(job.params.repackRenumber);
+
+    // Double page splitting, in every mode (halves keep the source format in Original mode)
+    const splitEnabled = splitDouble === 'auto' && !!sharp && !keepPixels;
+    const splitRatio = parseFloat(job.params.splitRatio);
+    const splitOptions = {
+        ratio: splitRatio > 1 ? splitRatio : DOUBLE_PAGE_RATIO,
+        gutter: isEnabled(job.params.splitGutter),
+        keepCover: isEnabled(job.params.splitKeepCover),
+        keepSpread: isEnabled(job.params.splitKeepSpread),
+        readingDir: readingDir || 'ltr',
+        format: isOriginal ? null : safeImgFormat,
+        quality: compVal
+    };
+
+    // Scan cleanup (images and archives): border trimming and deskew, before any resizing
+    const cleanupOptions = {
+        crop: isEnabled(job.params.autoCrop),
+        deskew: isEnabled(job.params.deskew),
+        sameBox: isEnabled(job.params.cropSameBox),
+        tolerance: Math.round(Math.min(100, Math.max(0, parseFloat(job.params.cropTolerance) || 10)) * 2.55),
+        margin: Math.min(20, Math.max(0, parseFloat(job.params.cropMargin) || 1)) / 100
+    };
+    const cleanupEnabled = !!sharp && !keepPixels && (cleanupOptions.crop || cleanupOptions.deskew);
+
+    // Fit a page inside the screen box. Sharp metadata is read before rotation, except for cleaned
+    // (raw) pipelines which are already rotated.
+    const fitPage = async (pipeline, alreadyRotated) => {
+        try {
+            const { width, height } = await pipeline.metadata();
+            const swap = !alreadyRotated && rotAngle % 180 !== 0;
+            return fitInside(pipeline, screenBox, swap ? height : width, swap ? width : height, splitEnabled ? splitOptions.ratio : null);
+        } catch (e) {
+            return pipeline;
+        }
+    };
+
+    // Enhancement stage (see enhanceImage), after resizing and the tone curve; not in Original mode
+    const grayLevels = parseInt(params.grayLevels);
+    const enhanceOptions = {
+        normalize: isEnabled(params.normalize),
+        denoise: isEnabled(params.denoise),
+        sharpen: isEnabled(params.sharpen) ? 1 : 0,
+        grayLevels: grayLevels === 4 || grayLevels === 16 ? grayLevels : 0,
+        dither: params.dither === undefined || isEnabled(params.dither),
+        density: dpiVal
+    };
+    const enhanceEnabled = !!sharp && !isOriginal &&
+        (enhanceOptions.normalize || enhanceOptions.denoise || enhanceOptions.sharpen > 0 || enhanceOptions.grayLevels > 0);
+
+    const applySizeBudget = async (dir, label) => {
+        if (!targetSize || !sharp) return null;
+        sendProgress(requestId, { type: 'log', message: `Fitting "${label}" under ${params.targetSize} MB...` });
+        const report = await fitToSizeBudget(requestId, dir, {
+            budget: targetSize,
+            format: budgetFormat,
+            maxQuality: compVal,
+            allowResize: isEnabled(params.targetResize),
+            lossless: budgetEncodes
+        });
+        const mb = (bytes) => (bytes / 1024 / 1024).toFixed(2);
+        const message = report.quality === null
+            ? `"${label}" already fits: ${mb(report.size)} MB of pages`
+            : `"${label}": ${report.format.toUpperCase()} quality ${report.quality}, width ${Math.round(report.scale * 100)}% -> ${mb(report.size)} MB of pages${report.fits ? '' : ' (over budget)'}`;
+        logInfo(`[BUDGET] ${message}`);
+        sendProgress(requestId, { type: 'log', message });
+        return report;
+    };
+
+    // Optimize mode report: sizes of the sources and of the output, pages made smaller, junk files dropped
+    const runOptimization = async (dir, label) => {
+        if (!isOptimize || !sharp) return null;
+        sendProgress(requestId, { type: 'log', message: `Optimizing "${label}" (lossless)...` });
+        return optimizePages(requestId, dir);
+    };
+    const optimizationReport = (pages, sourceSize, size, removedFiles) => {
+        if (!pages) return undefined;
+        const report = { ...pages, sourceSize, size, saved: sourceSize - size, removedFiles };
+        logInfo(`[OPTIMIZE] ${(sourceSize / 1024 / 1024).toFixed(2)} MB -> ${(size / 1024 / 1024).toFixed(2)} MB (${pages.optimizedPages} pages optimized, ${removedFiles} junk files removed)`);
+        return report;
+    };
+
+    // keepWebp: WebP sources are copied untouched, unless the page must be rotated, cleaned or downsized
+    const keepWebp = isEnabled(params.keepWebp);
+    const canKeepWebp = async (input) => {
+        if (!keepWebp || !sharp || rotAngle !== 0 || cleanupEnabled) return false;
+        try {
+            const { format: sourceFormat, width, height } = await sharp(input).metadata();
+            if (sourceFormat !== 'webp') return false;
+            if (screenBox) {
+                const spread = splitEnabled && width / height > splitOptions.ratio;
+                return (!screenBox.width || width <= screenBox.width * (spread ? 2 : 1)) && height <= screenBox.height;
+            }
+            return !(maxW > 0) || width <= maxW;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    // Title of a PDF/EPUB output: the metadata (Title, or Series and Number) or the output file name
+    const volumeTitle = (metadata, outputName) => metadata.Title
+        || (metadata.Series && [metadata.Series, metadata.Number].filter(Boolean).join(' '))
+        || path.basename(outputName).replace(/(\.kepub)?\.[^.]+$/i, '');
+
+    // PDF output: page size (pdfPageSize), document info, chapter outline and optional page thumbnails (pdfThumbnails)
+    const pdfPageSize = PDF_PAGE_MODES.includes(params.pdfPageSize) ? params.pdfPageSize : 'original';
+    const writePdfOutput = (dir, outputPath, outputName, metadata, bookmarks) => writePdfDocument(requestId, dir, outputPath, {
+        pageSize: pdfPageSize,
+        dpi: dpiVal,
+        device: screenBox && screenBox.width ? screenBox : null,
+        info: { Title: volumeTitle(metadata, outputName), Author: metadata.Writer, Subject: metadata.Series, Keywords: metadata.Genre || metadata.Tags },
+        bookmarks,
+        thumbnails: isEnabled(params.pdfThumbnails)
+    });
+
+    // EPUB/KEPUB output
+    const writeEpubOutput = (safeFormat, dir, outputPath, outputName, metadata, bookmarks) => writeEpub(requestId, dir, outputPath, {
+        title: volumeTitle(metadata, outputName),
+        metadata,
+        readingDir,
+        bookmarks,
+        kobo: safeFormat === 'kepub',
+        level: archCompVal
+    });
+
+    // Cleaned pipeline of a page, with the crop box shared by the volume when requested
+    const applyCleanup = async (pipeline, volumeBox) => {
+        const cleaned = await cleanupScan(pipeline, { ...cleanupOptions, volumeBox });
+        if (cleaned.angle) logDebug(`[DESKEW] ${cleaned.angle}°`);
+        return cleaned;
+    };
+
+    // Page pipeline of image merges and archive conversions: rotation, scan cleanup, DPI resizing, screen box
+    // or maximum width, grayscale, tone curve and enhancement, then encoding to outputBase + the format extension.
+    // volumeBox: crop box shared by the volume; label and index only name the page in debug logs.
+    const processPage = async (input, outputBase, { volumeBox = null, format = safeImgFormat, label = 'PAGE', index = 0 } = {}) => {
+        let pipeline = sharp(input);
+        if (rotAngle !== 0) pipeline = pipeline.rotate(rotAngle);
+        let scanDensity = null;
+        if (cleanupEnabled) ({ pipeline, density: scanDensity } = await applyCleanup(pipeline, volumeBox));
+
+        // Resize logic: DPI and MaxWidth are complementary (not exclusive)
+        // Step 1: Apply DPI-based resizing if requested
+        if (dpiVal) {
+            try {
+                const metadata = await pipeline.metadata();
+                const sourceDensity = scanDensity || metadata.density || 72;
+                const targetDensity = dpiVal;
+                if (Math.abs(targetDensity - sourceDensity) / sourceDensity > 0.02) {
+                    const newWidth = Math.round(metadata.width * (targetDensity / sourceDensity));
+                    pipeline = pipeline.resize(newWidth);
+                }
+                pipeline = pipeline.withMetadata({ density: targetDensity });
+            } catch (e) {
+                pipeline = pipeline.withMetadata({ density: dpiVal });
+            }
+        }
+
+        // Step 2: Fit inside the screen box, or apply the MaxWidth limit (after DPI resizing)
+        if (screenBox) {
+            pipeline = await fitPage(pipeline, !!scanDensity);
+        } else if (maxW && maxW > 0) {
+            try {
+                const metadata = await pipeline.metadata();
+                const willResize = metadata.width !== maxW;
+                logDebug(`[${label} RESIZE] Image ${index + 1}: Source width=${metadata.width}px, MaxWidth=${maxW}px, Will resize: ${willResize} (${metadata.width < maxW ? 'upscale' : metadata.width > maxW ? 'downscale' : 'no change'})`);
+                if (willResize) {
+                    pipeline = pipeline.resize({ width: maxW });
+                }
+            } catch (e) {}
+        }
+
+        if (colorMode === 'gray') pipeline = pipeline.grayscale();
+        if (toneEnabled) pipeline = applyTone(pipeline, tone);
+        if (enhanceEnabled) pipeline = await enhanceImage(pipeline, enhanceOptions);
+
+        const { pipeline: encoded, ext } = encodeImage(pipeline, format, compVal);
+        await encoded.toFile(outputBase + ext);
+    };
 
     try {
         sendProgress(requestId, { type: 'log', message: `Received ${files.length} file(s). Analyzing structure...` });
 
         // --- TASK DEFINITIONS (Helpers with closure access) ---
 
-        // Helper: Process Merge Task (Images -> Archive)
-        const processMergeTask = async (taskFiles, baseName, taskIdx, totalTasks) => {
+        // Result of a task whose output already exists and the collision policy says to keep it
+        const skippedResult = (output) => {
+            let size = 0;
+            try { size = fs.statSync(output.path).size; } catch(e) {}
+            return { name: output.name, path: output.path, size, pages: 0, thumbnail: null, collision: 'skipped', skipped: true };
+        };
+
+        // Helper: Process Merge Task (Images -> Archive). Options: junk files dropped, output sub-folder,
+        // chapter bookmarks { index of the first image: title }
+        const processMergeTask = async (taskFiles, baseName, taskIdx, totalTasks, { junk: removedFiles = 0, outputDir = '', bookmarks = {} } = {}) => {
             logInfo(`[TASK START] ${taskIdx+1}/${totalTasks}: Merging ${taskFiles.length} images into "${baseName}"`);
             sendProgress(requestId, { type: 'log', message: `Starting task ${taskIdx+1}/${totalTasks}: Merging ${taskFiles.length} images into "${baseName}"` });
             
+            const safeFormat = OUTPUT_FORMATS.includes(format) ? format : 'cbz';
+
+            // The name only depends on job settings here, so an existing output can be skipped before any work
+            const requestedName = prefixOutputDir(outputDir, buildOutputName(outputTemplate, baseName, outputExtension(safeFormat), comicMetadata));
+            const output = resolveOutputCollision(requestId, requestedName, collisionPolicy, Math.max(...taskFiles.map(f => f.lastModified || Date.now())));
+            if (output.collision === 'skipped') {
+                sendProgress(requestId, { type: 'log', message: `Skipped "${baseName}": ${output.name} already exists` });
+                taskFiles.forEach(f => { if(fs.existsSync(f.path)) fs.unlinkSync(f.path); });
+                return skippedResult(output);
+            }
+            const outputFileName = output.name;
+
             const tempDir = path.join(TEMP_DIR, `merge_${Date.now()}_${Math.random().toString(36).substring(7)}`);
             fs.mkdirSync(tempDir, { recursive: true });
+            trackTempPath(requestId, tempDir);
 
-            const safeImgFormat = (imgFormat || 'jpeg').toLowerCase();
             const padding = taskFiles.length.toString().length;
 
             // Thumbnail Init (Merge Mode)
             if (FEATURE_PROGRESS_THUMBNAIL && sharp && taskFiles.length > 0) {
                 try {
                     sendProgress(requestId, { type: 'log', message: `Generating preview for ${baseName}...` });
-                    const buffer = await sharp(taskFiles[0].path).resize(200).toBuffer();
+                    const buffer = await sharp(taskFiles[0].path).resize(200).jpeg().toBuffer();
                     sendProgress(requestId, { type: 'thumbnail-init', color: `data:image/jpeg;base64,${buffer.toString('base64')}` });
                 } catch(e) { logWarn("Merge Thumbnail error:", e); }
             }
 
-            // Process Images
-            for (const [idx, file] of taskFiles.entries()) {
-                const ext = path.extname(file.originalname).toLowerCase();
-                const isExotic = ['.webp', '.bmp'].includes(ext);
-                const needsResizing = (maxW && maxW > 0) || dpiVal;
+            let volumeBox = null;
+            if (cleanupEnabled && cleanupOptions.crop && cleanupOptions.sameBox) {
+                sendProgress(requestId, { type: 'log', message: `Measuring borders of ${taskFiles.length} images...` });
+                volumeBox = await computeVolumeCropBox(requestId, taskFiles.map(f => f.path), rotAngle, cleanupOptions);
+            }
+
+            // Process Images (up to MAX_PAGE_WORKERS images in parallel)
+            let processedImages = 0;
+            await mapWithConcurrency(taskFiles, MAX_PAGE_WORKERS, async (file, idx) => {
+                throwIfCancelled(requestId);
+                // Extension of the real image format (a PNG named .jpg is copied as .png)
+                const ext = inputTypes.get(file).ext;
+                const keepSource = await canKeepWebp(file.path);
+                // Optimize mode keeps every source format
+                const isExotic = ['.webp', '.bmp'].includes(ext) && !keepSource && !keepPixels;
+                const needsResizing = (maxW && maxW > 0) || screenBox || dpiVal;
+
+                const num = (idx + 1).toString().padStart(Math.max(3, padding), '0');
+                
+                // Force JPEG for exotic formats (WEBP, BMP) in Original mode
+                const forceJpeg = isExotic && isOriginal;
                 
+                const shouldUseSharp = sharp && !keepSource && (isExotic || rotAngle !== 0 || needsResizing || !isOriginal || cleanupEnabled);
+
+                if (shouldUseSharp) {
+                    await processPage(file.path, path.join(tempDir, num), { volumeBox, format: forceJpeg ? 'jpeg' : safeImgFormat, label: 'MERGE', index: idx });
+                } else {
+                    fs.copyFileSync(file.path, path.join(tempDir, `${num}${ext}`));
+                }
+
                 // Send progress for EVERY image
+                processedImages++;
                 const progressData = {
                     type: 'progress',
                     currentFileIndex: taskIdx + 1,
                     totalFiles: totalTasks,
-                    totalPct: Math.round((idx / taskFiles.length) * 100),
+                    totalPct: Math.round(((processedImages - 1) / taskFiles.length) * 100),
                     currentFileName: baseName,
-                    currentPages: idx + 1,
+                    currentPages: processedImages,
                     totalPages: taskFiles.length,
-                    currentPct: Math.round(((idx + 1) / taskFiles.length) * 100),
-                    status: isExotic ? `Conversion jpg en cours... (${idx + 1}/${taskFiles.length})` : `Processing image ${idx + 1}/${taskFiles.length}`
+                    currentPct: Math.round((processedImages / taskFiles.length) * 100),
+                    status: forceJpeg ? `Conversion jpg en cours... (${processedImages}/${taskFiles.length})` : `Processing image ${processedImages}/${taskFiles.length}`
                 };
-                logDebug(`[MERGE PROGRESS] Task ${taskIdx+1}/${totalTasks} | Image ${idx + 1}/${taskFiles.length} (${progressData.currentPct}%)`);
+                logDebug(`[MERGE PROGRESS] Task ${taskIdx+1}/${totalTasks} | Image ${processedImages}/${taskFiles.length} (${progressData.currentPct}%)`);
                 sendProgress(requestId, progressData);
+            });
 
-                const num = (idx + 1).toString().padStart(Math.max(3, padding), '0');
-                
-                // Force JPEG for exotic formats (WEBP, BMP)
-                const forceJpeg = isExotic;
-                
-                const shouldUseSharp = sharp && (forceJpeg || rotAngle !== 0 || needsResizing || !isOriginal);
-
-                if (shouldUseSharp) {
-                    let pipeline = sharp(file.path);
-                    if (rotAngle !== 0) pipeline = pipeline.rotate(rotAngle);
-                    
-                    // Resize logic: DPI and MaxWidth are complementary (not exclusive)
-                    // Step 1: Apply DPI-based resizing if requested
-                    if (dpiVal) {
-                        try {
-                            const metadata = await pipeline.metadata();
-                            const sourceDensity = metadata.density || 72;
-                            const targetDensity = dpiVal;
-                            if (Math.abs(targetDensity - sourceDensity) / sourceDensity > 0.02) {
-                                const newWidth = Math.round(metadata.width * (targetDensity / sourceDensity));
-                                pipeline = pipeline.resize(newWidth);
-                            }
-                            pipeline = pipeline.withMetadata({ density: targetDensity });
-                        } catch (e) {
-                            pipeline = pipeline.withMetadata({ density: dpiVal });
-                        }
-                    }
-                    
-                    // Step 2: Apply MaxWidth limit if defined (after DPI resizing)
-                    if (maxW && maxW > 0) {
-                        try {
-                            const metadata = await pipeline.metadata();
-                            const willResize = metadata.width !== maxW;
-                            logDebug(`[MERGE RESIZE] Image ${idx + 1}: Source width=${metadata.width}px, MaxWidth=${maxW}px, Will resize: ${willResize} (${metadata.width < maxW ? 'upscale' : metadata.width > maxW ? 'downscale' : 'no change'})`);
-                            if (willResize) {
-                                pipeline = pipeline.resize({ width: maxW });
-                            }
-                        } catch (e) {}
-                    }
-
-                    if (colorMode === 'gray') pipeline = pipeline.grayscale();
-
-                    let outExt = ext;
-                    if (forceJpeg) {
-                         pipeline = pipeline.jpeg({ quality: compVal });
-                         outExt = '.jpg';
-                    } else {
-                        if (safeImgFormat === 'png') { pipeline = pipeline.png(); outExt = '.png'; }
-                        else if (safeImgFormat === 'tiff') { pipeline = pipeline.tiff(); outExt = '.tiff'; }
-                        else { pipeline = pipeline.jpeg({ quality: compVal }); outExt = '.jpg'; }
-                    }
-                    await pipeline.toFile(path.join(tempDir, `${num}${outExt}`));
-                } else {
-                    fs.copyFileSync(file.path, path.join(tempDir, `${num}${ext}`));
-                }
+            let pageCount = taskFiles.length;
+            let pageBookmarks = bookmarks;
+            if (splitEnabled) {
+                sendProgress(requestId, { type: 'log', message: `Detecting double pages...` });
+                const pages = fs.readdirSync(tempDir).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+                const splitPages = await splitDoublePages(requestId, tempDir, pages, splitOptions);
+                // Chapters start further when earlier pages were split in two
+                pageBookmarks = {};
+                let pos = 0;
+                splitPages.forEach((pageFiles, i) => {
+                    if (bookmarks[i]) pageBookmarks[pos] = bookmarks[i];
+                    pos += pageFiles.length;
+                });
+                renumberPages(tempDir, splitPages.flat());
+                pageCount = pos;
             }
+            const budget = await applySizeBudget(tempDir, baseName);
+            const optimizedPages = await runOptimization(tempDir, baseName);
 
             // Create Archive - Signal completion for cumulative counter
             const completionData = {
@@ -381,15 +2887,9 @@ app.post('/convert', upload.array('files'), async (req, res) => {
             logInfo(`[TASK END] ${taskIdx+1}/${totalTasks}: "${baseName}" - ${taskFiles.length} images processed`);
             sendProgress(requestId, completionData);
 
-            const allowedFormats = ['cbz', 'cbt', 'cb7', 'cbr', 'pdf', 'rar4', 'folder'];
-            const safeFormat = allowedFormats.includes(format) ? format : 'cbz';
-            
-            let outputFileName = `${baseName}.${safeFormat}`;
-            if (safeFormat === 'rar4') outputFileName = `${baseName}.cbr`;
-            if (safeFormat === 'folder') outputFileName = baseName;
-
             const safeTempArchiveName = `archive_${Date.now()}_${Math.random().toString(36).substring(7)}.${safeFormat === 'rar4' ? 'cbr' : safeFormat}`;
             const tempOutputPath = path.join(TEMP_DIR, safeTempArchiveName);
+            trackTempPath(requestId, tempOutputPath);
 
             if (safeFormat === 'folder') {
                 // Folder mode: skip archiving
@@ -405,53 +2905,26 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                     status: "Creating PDF..."
                 });
                 
-                await new Promise((resolve, reject) => {
-                    const doc = new PDFDocument({ autoFirstPage: false });
-                    const stream = fs.createWriteStream(tempOutputPath);
-                    doc.pipe(stream);
-                    const images = fs.readdirSync(tempDir).filter(f => /\.(jpg|jpeg|png)$/i.test(f)).sort();
-                    for (const imgFile of images) {
-                        try {
-                            const imgPath = path.join(tempDir, imgFile);
-                            const img = doc.openImage(imgPath); 
-                            doc.addPage({ margin: 0, size: [img.width, img.height] });
-                            doc.image(imgPath, 0, 0, { width: img.width, height: img.height });
-                        } catch(e) {}
-                    }
-                    doc.end();
-                    stream.on('finish', resolve);
-                    stream.on('error', reject);
-                });
-            } else if (safeFormat === 'cbt') {
-                await new Promise((resolve, reject) => exec(`tar -cf "${tempOutputPath}" .`, { cwd: tempDir }, (err) => err ? reject(err) : resolve()));
-            } else if (safeFormat === 'cb7') {
-                // Note: Archive compression applies even in Original mode (image extraction is native, but archive can still be compressed)
-                const level = archCompVal;
-                await new Promise((resolve, reject) => exec(`7z a -t7z -mx=${level} "${tempOutputPath}" .`, { cwd: tempDir }, (err) => err ? reject(err) : resolve()));
-            } else if (safeFormat === 'cbr') {
-                 let rarComp = (archCompVal === 0 ? 0 : 3);
-                 await new Promise((resolve, reject) => exec(`rar a -r -m${rarComp} -ep1 "${tempOutputPath}" .`, { cwd: tempDir }, (err) => err ? reject(err) : resolve()));
-            } else if (safeFormat === 'rar4') {
-                 let rarComp = (archCompVal === 0 ? 0 : 3);
-                 await new Promise((resolve, reject) => exec(`rar a -ma4 -r -m${rarComp} -ep1 "${tempOutputPath}" .`, { cwd: tempDir }, (err) => err ? reject(err) : resolve()));
+                await writePdfOutput(tempDir, tempOutputPath, outputFileName, comicMetadata, pageBookmarks);
+            } else if (safeFormat === 'epub' || safeFormat === 'kepub') {
+                await writeEpubOutput(safeFormat, tempDir, tempOutputPath, outputFileName, comicMetadata, pageBookmarks);
             } else {
-                // CBZ
-                const level = archCompVal;
-                await new Promise((resolve, reject) => exec(`7z a -tzip -mx=${level} "${tempOutputPath}" .`, { cwd: tempDir }, (err) => err ? reject(err) : resolve()));
+                if (comicInfoEnabled) await writeComicInfo(tempDir, comicMetadata, { readingDir, bookmarks: pageBookmarks });
+                await createArchive(requestId, safeFormat, tempDir, tempOutputPath, archCompVal);
             }
 
             // Finalize
-            const persistentPath = path.join(OUTPUT_DIR, outputFileName);
+            const persistentPath = output.path;
+            if (output.collision === 'overwritten') fs.rmSync(persistentPath, { recursive: true, force: true });
             
             if (safeFormat === 'folder') {
-                if (fs.existsSync(persistentPath)) fs.rmSync(persistentPath, { recursive: true, force: true });
                 fs.mkdirSync(persistentPath, { recursive: true });
                 
                 // Copy only valid images, exclude thumbs
                 const filesToCopy = fs.readdirSync(tempDir).filter(f =>
                     !f.startsWith('thumb_') &&
                     !f.startsWith('.') &&
-                    /\.(jpg|jpeg|png|tif|tiff|bmp|webp)$/i.test(f)
+                    /\.(jpg|jpeg|png|tif|tiff|bmp|webp|avif)$/i.test(f)
                 );
                 
                 for (const f of filesToCopy) {
@@ -466,9 +2939,9 @@ app.post('/convert', upload.array('files'), async (req, res) => {
             let thumbnail = null;
             if (sharp) {
                 try {
-                    const images = fs.readdirSync(tempDir).filter(f => /\.(jpg|jpeg|png|webp|tiff|tif|bmp)$/i.test(f)).sort();
+                    const images = fs.readdirSync(tempDir).filter(f => /\.(jpg|jpeg|png|webp|avif|tiff|tif|bmp)$/i.test(f)).sort();
                     if (images.length > 0) {
-                        const buffer = await sharp(path.join(tempDir, images[0])).resize(200).toBuffer();
+                        const buffer = await sharp(path.join(tempDir, images[0])).resize(200).jpeg().toBuffer();
                         thumbnail = `data:image/jpeg;base64,${buffer.toString('base64')}`;
                     }
                 } catch(e) { logWarn("Final Thumbnail generation error:", e); }
@@ -492,18 +2965,24 @@ app.post('/convert', upload.array('files'), async (req, res) => {
             } else {
                 finalSize = fs.statSync(persistentPath).size;
             }
+            reservedOutputs.delete(persistentPath);
             
             return {
                 name: outputFileName,
                 path: persistentPath,
                 size: finalSize,
-                pages: taskFiles.length,
-                thumbnail: thumbnail
+                pages: pageCount,
+                thumbnail: thumbnail,
+                collision: output.collision,
+                requestedName: output.collision === 'renamed' ? requestedName : undefined,
+                budget: budget || undefined,
+                optimization: optimizationReport(optimizedPages, taskFiles.reduce((acc, f) => acc + (f.size || 0), 0), finalSize, removedFiles)
             };
         };
 
-        // Helper: Process Single File (PDF/Archive -> Archive)
-        const processConvertTask = async (file, taskIdx, totalTasks) => {
+        // Helper: Process Single File (PDF/Archive -> Archive), written in the output sub-folder outputDir.
+        // pagesOnly: stop once the pages are ready and hand them over (chapter merge)
+        const processConvertTask = async (file, taskIdx, totalTasks, { outputDir = '', pagesOnly = false } = {}) => {
             sendProgress(requestId, {
                 type: 'progress',
                 currentFileIndex: taskIdx + 1,
@@ -514,16 +2993,29 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                 status: `Analyzing ${file.originalname}...`
             });
 
+            // Unsupported, empty, encrypted, damaged or oversized inputs fail here with a clear message
+            const password = passwords.get(file) || '';
+            const input = await validateInput(requestId, file.path, file.originalname, inputTypes.get(file), password);
+
             let fileName = path.parse(file.originalname).name;
             fileName = fileName.replace(/_\d{13}_[a-f0-9\-]{36}$/i, '');
             const tempDir = path.join(__dirname, 'upload', fileName + "_temp_" + Date.now());
             fs.mkdirSync(tempDir, { recursive: true });
+            trackTempPath(requestId, tempDir);
 
             const outputPrefix = path.join(tempDir, 'page');
-            const fileIsPdf = isPdf(file.originalname);
+            const fileIsPdf = input.kind === 'pdf';
 
             let effectiveTotalPages = 0;
-            const safeImgFormat = (imgFormat || 'jpeg').toLowerCase();
+            // Metadata and chapter bookmarks found in the source (pdfinfo/outline or an existing ComicInfo.xml)
+            let sourceMetadata = {};
+            const pageBookmarks = {};
+            // Junk entries found in an archive (__MACOSX, Thumbs.db...), left out of the output
+            const junkFiles = [];
+            // Repack: archive pages are moved as they are (chapter merges need numbered pages at the root)
+            const repack = repackArchives && !fileIsPdf && !pagesOnly;
+            // Source ComicInfo.xml copied unchanged into the output (repack, full range, no metadata edits)
+            let keptComicInfo = false;
             
             if (fileIsPdf) {
                 if (!file.path.toLowerCase().endsWith('.pdf')) {
@@ -532,7 +3024,12 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                     catch (err) { console.error("Error renaming input file:", err); }
                 }
 
-                const totalPages = await getPageCount(file.path);
+                const pdfInfo = await getPdfInfo(requestId, file.path, password);
+                const totalPages = pdfInfo && pdfInfo.Pages ? parseInt(pdfInfo.Pages) : null;
+                if (pdfInfo) sourceMetadata = pdfInfoToComicMetadata(pdfInfo);
+                // The outline feeds the ComicInfo.xml bookmarks, the PDF bookmarks and the EPUB table of contents
+                const needsOutline = comicInfoEnabled || ['pdf', 'epub', 'kepub'].includes(format);
+                const outline = needsOutline && !isOriginal ? await getPdfOutline(requestId, file.path, password) : [];
                 
                 effectiveTotalPages = totalPages;
                 if (totalPages) {
@@ -551,18 +3048,18 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                 
                 if (isOriginal) {
                     tool = pdfimagesPath;
-                    args = ['-all'];
+                    args = ['-all', ...passwordArgs(tool, password)];
                     if (pageStart) args.push('-f', pageStart);
                     if (pageEnd) args.push('-l', pageEnd);
                     args.push(file.path, outputPrefix);
                 } else {
                     tool = popplerPath;
-                    args = ['-r', dpiVal.toString()];
-                    if (maxW && maxW > 0) {
-                        // Use scale-to-x for PDF resizing (keeps aspect ratio)
+                    args = ['-r', dpiVal.toString(), ...passwordArgs(tool, password)];
+                    if (maxW && maxW > 0 && !screenBox) {
+                        // Use scale-to-x for PDF resizing (keeps aspect ratio); a screen box is applied after rendering
                         args.push('-scale-to-x', maxW.toString(), '-scale-to-y', '-1');
                     }
-                    if (safeImgFormat === 'png') {
+                    if (safeImgFormat === 'png' || reencodeRender) {
                         args.push('-png');
                         if (colorMode === 'gray') args.push('-gray');
                         if (colorMode === 'mono') args.push('-mono');
@@ -585,7 +3082,7 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                      try {
                         sendProgress(requestId, { type: 'log', message: `Generating preview...` });
                         const colorPrefix = path.join(tempDir, 'thumb_color');
-                        const makeThumb = (args) => new Promise(resolve => execFile(popplerPath, args, (err) => resolve(err ? null : true)));
+                        const makeThumb = (args) => new Promise(resolve => execFileJob(requestId, popplerPath, [...passwordArgs(popplerPath, password), ...args], (err) => resolve(err ? null : true)));
 
                         if (isOriginal) {
                             await makeThumb(['-jpeg', '-scale-to', '200', '-f', '1', '-l', '1', file.path, colorPrefix]);
@@ -635,108 +3132,87 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                 }
 
                 await new Promise((resolve, reject) => {
-                    execFile(tool, args, { timeout: 1800000, maxBuffer: 10*1024*1024 }, (err, stdout, stderr) => {
+                    execFileJob(requestId, tool, args, { timeout: 1800000 }, (err, stdout, stderr) => {
                         if (progressInterval) clearInterval(progressInterval);
                         if (err) reject(err); else resolve();
                     });
                 });
 
-                if (rotAngle !== 0 && sharp) {
+                // Post-render pass: rotation, screen box, e-ink tone curve, enhancement and WebP/AVIF encoding
+                const reencode = reencodeRender && !isOriginal;
+                if ((rotAngle !== 0 || (screenBox && !isOriginal) || toneEnabled || enhanceEnabled || reencode) && sharp) {
                     const rawFiles = fs.readdirSync(tempDir).filter(f => !/^thumb_/i.test(f) && /\.(jpg|jpeg|png|tif|tiff|bmp)$/i.test(f));
-                    sendProgress(requestId, { type: 'log', message: `Applying rotation ${rotAngle}° to ${rawFiles.length} pages...` });
-                    for (const f of rawFiles) {
+                    const steps = [rotAngle !== 0 && `rotation ${rotAngle}°`, screenBox && !isOriginal && `fit ${maxW || '∞'}x${maxH}`, toneEnabled && 'tone curve', enhanceEnabled && 'enhancement', reencode && safeImgFormat.toUpperCase()].filter(Boolean);
+                    sendProgress(requestId, { type: 'log', message: `Applying ${steps.join(', ')} to ${rawFiles.length} pages...` });
+                    await mapWithConcurrency(rawFiles, MAX_PAGE_WORKERS, async (f) => {
+                        throwIfCancelled(requestId);
                         const fPath = path.join(tempDir, f);
                         try {
                             const buffer = fs.readFileSync(fPath);
-                            if (buffer.length > 0) await sharp(buffer).rotate(rotAngle).toFile(fPath);
+                            if (buffer.length === 0) return;
+                            let pipeline = sharp(buffer).rotate(rotAngle);
+                            if (screenBox && !isOriginal) pipeline = await fitPage(pipeline, false);
+                            if (colorMode === 'gray') pipeline = pipeline.grayscale();
+                            if (toneEnabled) pipeline = applyTone(pipeline, tone);
+                            if (enhanceEnabled) pipeline = await enhanceImage(pipeline, enhanceOptions);
+                            if (reencode) {
+                                let outExt;
+                                ({ pipeline, ext: outExt } = encodeImage(pipeline, safeImgFormat, compVal));
+                                await pipeline.toFile(fPath.replace(/\.[^.]+$/, outExt));
+                                fs.unlinkSync(fPath);
+                                return;
+                            }
+                            if (/\.jpe?g$/i.test(f)) pipeline = pipeline.jpeg({ quality: compVal });
+                            await pipeline.toFile(fPath);
                         } catch(e) {}
-                    }
+                    });
                 }
 
                 let imgFiles = fs.readdirSync(tempDir).filter(f => {
-                    const validExts = ['.jpg', '.jpeg', '.png', '.tif', '.tiff', '.bmp'];
+                    const validExts = ['.jpg', '.jpeg', '.png', '.tif', '.tiff', '.bmp', '.webp', '.avif'];
                     return validExts.includes(path.extname(f).toLowerCase()) && !/^thumb_/i.test(f);
                 });
                 imgFiles.sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
 
                 if (imgFiles.length === 0) throw new Error(`No images generated for ${file.originalname}`);
-
-                // Handle optional splitting of landscape (double) pages
-                // If splitDouble==='auto', use Sharp to split wide images into two vertical halves
-                // IMPORTANT: Disable splitting if "Original" mode (dpi='original') is active
-                let expandedFiles = [];
-                if (splitDouble === 'auto' && sharp && !isOriginal) {
-                    for (let i = 0; i < Math.min(imgFiles.length, effectiveTotalPages); i++) {
-                        const f = imgFiles[i];
-                        const fullPath = path.join(tempDir, f);
-                        try {
-                            const meta = await sharp(fullPath).metadata();
-                            if (meta && meta.width && meta.height && (meta.width / meta.height) > 1.2) {
-                                // Split vertically into two halves
-                                const halfW = Math.floor(meta.width / 2);
-                                const leftBuf = await sharp(fullPath).extract({ left: 0, top: 0, width: halfW, height: meta.height }).toBuffer();
-                                const rightBuf = await sharp(fullPath).extract({ left: meta.width - halfW, top: 0, width: halfW, height: meta.height }).toBuffer();
-                                // Use jpg for output halves
-                                const outExt = '.jpg';
-                                const leftName = `split_${i+1}_a${outExt}`;
-                                const rightName = `split_${i+1}_b${outExt}`;
-                                fs.writeFileSync(path.join(tempDir, leftName), leftBuf);
-                                fs.writeFileSync(path.join(tempDir, rightName), rightBuf);
-                                // Order halves according to readingDir
-                                if ((readingDir || 'ltr') === 'ltr') {
-                                    expandedFiles.push(leftName, rightName);
-                                } else {
-                                    expandedFiles.push(rightName, leftName);
-                                }
-                                // Remove original wide file to avoid duplication
-                                try { fs.unlinkSync(fullPath); } catch(e) {}
-                                continue;
-                            }
-                        } catch (e) {
-                            // On error, fall back to using the original file
-                        }
-                        expandedFiles.push(f);
-                    }
+
+                // Handle optional splitting of landscape (double) pages into two halves
+                let expandedFiles = imgFiles.slice(0, effectiveTotalPages);
+                if (splitEnabled) {
+                    sendProgress(requestId, { type: 'log', message: `Detecting double pages...` });
+                    expandedFiles = await splitDoublePages(requestId, tempDir, expandedFiles, splitOptions);
                 } else {
-                    // No splitting requested or Sharp unavailable: keep original page list
-                    expandedFiles = imgFiles.slice(0, effectiveTotalPages);
+                    expandedFiles = expandedFiles.map(f => [f]);
                 }
 
-                // If splitting increased page count, update effectiveTotalPages
-                const finalPageFiles = expandedFiles;
-                const finalPageCount = finalPageFiles.length;
-                const padding = finalPageCount.toString().length;
-
-                // Rename (re-number) final pages sequentially
-                finalPageFiles.forEach((f, idx) => {
-                    const num = (idx + 1).toString().padStart(Math.max(3, padding), '0');
-                    const newName = `${num}${path.extname(f)}`;
-                    const src = path.join(tempDir, f);
-                    const dst = path.join(tempDir, newName);
-                    try { fs.renameSync(src, dst); } catch(e) {}
-                });
+                // Map the PDF outline (1-based source pages) onto the output pages, top-level chapters first
+                if (outline.length > 0) {
+                    const firstPage = Math.max(1, pageStart ? parseInt(pageStart) : 1);
+                    const outputIndex = [];
+                    expandedFiles.reduce((pos, pageFiles, i) => { outputIndex[i] = pos; return pos + pageFiles.length; }, 0);
+                    for (const item of [...outline].sort((a, b) => a.level - b.level)) {
+                        const idx = outputIndex[item.page - firstPage];
+                        if (idx !== undefined && !pageBookmarks[idx]) pageBookmarks[idx] = item.title;
+                    }
+                }
+                // Rename (re-number) final pages sequentially; splitting may have increased the page count
+                renumberPages(tempDir, expandedFiles.flat());
+                effectiveTotalPages = expandedFiles.flat().length;
 
             } else {
                 // --- ARCHIVE PROCESSING ---
                 sendProgress(requestId, { type: 'log', message: `Extracting archive...` });
                 
-                const ext = path.extname(file.originalname).toLowerCase();
-                if (ext && !file.path.toLowerCase().endsWith(ext)) {
+                // Extension of the real format, so 7z does not try the format named by the original extension
+                const ext = input.ext;
+                if (!file.path.toLowerCase().endsWith(ext)) {
                     const newPath = file.path + ext;
                     try { fs.renameSync(file.path, newPath); file.path = newPath; }
                     catch(e) { console.error("Archive rename error:", e); }
                 }
 
-                // Detect RAR archives early (for thumbnail generation)
-                let isRarArchive = false;
-                try {
-                    const fd = fs.openSync(file.path, 'r');
-                    const buffer = Buffer.alloc(7);
-                    fs.readSync(fd, buffer, 0, 7, 0);
-                    fs.closeSync(fd);
-                    if (buffer.toString('hex').startsWith('526172211a07')) isRarArchive = true;
-                } catch(e) {}
-                if (ext === '.cbr' || ext === '.rar') isRarArchive = true;
+                // RAR archives go through rar/unrar (thumbnail and extraction)
+                const isRarArchive = input.type.startsWith('rar');
 
                 // Fast Thumbnail for archives
                 if (FEATURE_PROGRESS_THUMBNAIL && sharp) {
@@ -744,11 +3220,11 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                     try {
                         await new Promise(resolve => {
                             // Use appropriate listing tool based on archive type
-                            const listCmd = isRarArchive
-                                ? `rar lb "${file.path}"` // RAR: simple list (using rar command)
-                                : `7z l -slt "${file.path}"`; // Others: detailed list
+                            const [listTool, listArgs] = isRarArchive
+                                ? ['rar', ['lb', ...passwordArgs('rar', password), file.path]] // RAR: simple list (using rar command)
+                                : ['7z', ['l', '-slt', ...passwordArgs('7z', password), file.path]]; // Others: detailed list
                             
-                            exec(listCmd, async (err, stdout) => {
+                            execFileJob(requestId, listTool, listArgs, { stdio: ['ignore', 'pipe', 'pipe'], timeout: PROBE_TIMEOUT_MS }, async (err, stdout) => {
                                 if (err) {
                                     logWarn(`Archive thumbnail list error (${isRarArchive ? 'RAR' : '7z'}):`, err.message);
                                     resolve();
@@ -762,7 +3238,7 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                                     const lines = stdout.split(/\r?\n/);
                                     const images = lines
                                         .map(line => line.trim())
-                                        .filter(line => line && /\.(jpg|jpeg|png|webp|gif|bmp)$/i.test(line));
+                                        .filter(line => line && /\.(jpg|jpeg|png|webp|avif|gif|bmp)$/i.test(line));
                                     
                                     if (images.length > 0) {
                                         // Sort alphabetically/numerically to get the first page (001.jpg, cover.jpg, etc.)
@@ -772,7 +3248,7 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                                     }
                                 } else {
                                     // 7z detailed listing: get all images and sort
-                                    const allMatches = [...stdout.matchAll(/Path = ([^\r\n]+\.(jpg|jpeg|png|webp|gif|bmp))/gi)];
+                                    const allMatches = [...stdout.matchAll(/Path = ([^\r\n]+\.(jpg|jpeg|png|webp|avif|gif|bmp))/gi)];
                                     if (allMatches.length > 0) {
                                         const images = allMatches.map(m => m[1].trim());
                                         images.sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
@@ -786,11 +3262,11 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                                     fs.mkdirSync(thumbTempDir, { recursive: true });
                                     
                                     // Extract first image using appropriate tool
-                                    const extractCmd = isRarArchive
-                                        ? `rar e -y "${file.path}" "${imgPath}" "${thumbTempDir}/"`
-                                        : `7z e "${file.path}" -o"${thumbTempDir}" "${imgPath}" -y`;
+                                    const [extractTool, extractArgs] = isRarArchive
+                                        ? ['rar', ['e', '-y', ...passwordArgs('rar', password), file.path, imgPath, thumbTempDir + path.sep]]
+                                        : ['7z', ['e', ...passwordArgs('7z', password), file.path, `-o${thumbTempDir}`, imgPath, '-y']];
                                     
-                                    exec(extractCmd, async (err2, stdout2, stderr2) => {
+                                    execFileJob(requestId, extractTool, extractArgs, { stdio: ['ignore', 'pipe', 'pipe'], timeout: PROBE_TIMEOUT_MS }, async (err2, stdout2, stderr2) => {
                                         if (err2) {
                                             logWarn(`Archive thumbnail extract error (${isRarArchive ? 'RAR' : '7z'}):`, err2.message);
                                             try { fs.rmSync(thumbTempDir, { recursive: true, force: true }); } catch(e){}
@@ -800,9 +3276,9 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                                         
                                         try {
                                             const files = fs.readdirSync(thumbTempDir);
-                                            const imgFile = files.find(f => /\.(jpg|jpeg|png|webp|gif|bmp)$/i.test(f));
+                                            const imgFile = files.find(f => /\.(jpg|jpeg|png|webp|avif|gif|bmp)$/i.test(f));
                                             if (imgFile) {
-                                                const b = await sharp(path.join(thumbTempDir, imgFile)).resize(200).toBuffer();
+                                                const b = await sharp(path.join(thumbTempDir, imgFile)).resize(200).jpeg().toBuffer();
                                                 const b64 = b.toString('base64');
                                                 sendProgress(requestId, { type: 'thumbnail-init', color: `data:image/jpeg;base64,${b64}` });
                                                 logDebug(`✓ Archive thumbnail generated successfully (${isRarArchive ? 'RAR' : '7z'})`);
@@ -827,27 +3303,19 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                     }
                 }
 
-                await new Promise((resolve, reject) => {
-                    // Use isRarArchive already detected above
-                    if (isRarArchive) {
-                        exec(`rar x -y "${file.path}" "${tempDir}/"`, (err) => {
-                            if (err) {
-                                exec(`unrar x -y "${file.path}" "${tempDir}/"`, (err2) => {
-                                    if (err2) {
-                                        exec(`7z x "${file.path}" -o"${tempDir}"`, (err3) => {
-                                            if (err3) reject(err); else resolve();
-                                        });
-                                    } else resolve();
-                                });
-                            } else resolve();
-                        });
-                    } else {
-                        exec(`7z x "${file.path}" -o"${tempDir}"`, (err) => {
-                            if (err) reject(err); else resolve();
-                        });
-                    }
-                });
+                try {
+                    await extractArchive(requestId, file.path, tempDir, input.type, password);
+                } catch (e) {
+                    // ZIP/RAR entries encrypted with another password only fail here
+                    if (!e.cancelled && password && /password/i.test(e.stderr || '')) throw passwordError(file.originalname, true);
+                    throw e;
+                }
+
+                // Archives inside the archive (one per chapter...) are unpacked in place
+                const nestedArchives = await extractNestedArchives(requestId, tempDir, 1, password);
+                if (nestedArchives.length > 0) sendProgress(requestId, { type: 'log', message: `Unpacked ${nestedArchives.length} nested archive(s)` });
 
+                // Pages of the extracted archive, in every sub-folder; junk files are listed apart
                 const getAllImages = (dirBuffer, list = []) => {
                     let entryNames;
                     try { entryNames = fs.readdirSync(dirBuffer, { encoding: 'buffer' }); } catch(e) { return list; }
@@ -857,11 +3325,16 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                         let stats;
                         try { stats = fs.lstatSync(fullPathBuffer); } catch(e) { continue; }
                         if (stats.isDirectory()) {
-                            getAllImages(fullPathBuffer, list);
+                            const dirName = nameBuffer.toString('binary');
+                            // Resource forks and hidden folders (__MACOSX, .git...) hold no pages
+                            if (isJunkFile(dirName + '/')) junkFiles.push(dirName + '/');
+                            else getAllImages(fullPathBuffer, list);
                         } else {
                             const nameStr = nameBuffer.toString('binary');
                             const ext = path.extname(nameStr).toLowerCase();
-                            if (['.jpg', '.jpeg', '.png', '.tif', '.tiff', '.bmp', '.webp', '.gif'].includes(ext)) {
+                            if (isJunkFile(nameStr)) {
+                                junkFiles.push(nameStr);
+                            } else if (['.jpg', '.jpeg', '.png', '.tif', '.tiff', '.bmp', '.webp', '.avif', '.gif'].includes(ext)) {
                                 list.push(fullPathBuffer);
                             }
                         }
@@ -870,6 +3343,7 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                 };
 
                 let extractedImages = getAllImages(Buffer.from(tempDir));
+                if (junkFiles.length > 0) sendProgress(requestId, { type: 'log', message: `Ignored ${junkFiles.length} junk file(s): ${junkFiles.slice(0, 5).join(', ')}${junkFiles.length > 5 ? '...' : ''}` });
                 extractedImages.sort((a, b) => a.compare(b));
                 
                 const totalExtracted = extractedImages.length;
@@ -877,6 +3351,31 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                 const pEnd = pageEnd ? parseInt(pageEnd) : totalExtracted;
                 const effStart = Math.max(1, pStart);
                 const effEnd = Math.min(totalExtracted, pEnd);
+
+                // Existing ComicInfo.xml: keep its metadata and shift its bookmarks to the selected range
+                const comicInfoName = fs.readdirSync(tempDir).find(f => f.toLowerCase() === 'comicinfo.xml');
+                if (comicInfoName) {
+                    try {
+                        const existing = parseComicInfoXml(fs.readFileSync(path.join(tempDir, comicInfoName), 'utf8'));
+                        sourceMetadata = existing.metadata;
+                        for (const [image, title] of Object.entries(existing.bookmarks)) {
+                            const idx = parseInt(image) - (effStart - 1);
+                            if (idx >= 0 && idx <= effEnd - effStart) pageBookmarks[idx] = title;
+                        }
+                        sendProgress(requestId, { type: 'log', message: `ComicInfo.xml found in archive` });
+                    } catch (e) {
+                        logWarn('ComicInfo.xml read error:', e.message);
+                    }
+                }
+                
+                // Without bookmarks from ComicInfo.xml, each nested archive starts a chapter
+                if (Object.keys(pageBookmarks).length === 0) {
+                    for (const nested of nestedArchives) {
+                        const prefix = Buffer.from(nested.dir + path.sep);
+                        const idx = extractedImages.findIndex(p => p.subarray(0, prefix.length).equals(prefix)) - (effStart - 1);
+                        if (idx >= 0 && idx <= effEnd - effStart && !pageBookmarks[idx]) pageBookmarks[idx] = nested.title;
+                    }
+                }
                 
                 effectiveTotalPages = Math.max(0, effEnd - effStart + 1);
                 sendProgress(requestId, { type: 'log', message: `Images found: ${totalExtracted}. Converting range ${effStart}-${effEnd} (${effectiveTotalPages} pages).` });
@@ -885,78 +3384,51 @@ app.post('/convert', upload.array('files'), async (req, res) => {
 
                 // Thumbnail logic for Archive if not already done... (omitted for brevity, handled by fast thumb)
 
-                const processingDir = path.join(tempDir, 'processed');
+                // Next to the work directory, not inside it: an extracted folder may have any name
+                const processingDir = `${tempDir}_processed`;
                 fs.mkdirSync(processingDir);
+                trackTempPath(requestId, processingDir);
 
                 const padding = effectiveTotalPages.toString().length;
                 let processedCount = 0;
-                
-                for (let i = 0; i < extractedImages.length; i++) {
-                    const currentNum = i + 1;
-                    if (currentNum < effStart || currentNum > effEnd) continue;
+                const selectedImages = extractedImages.slice(effStart - 1, effEnd);
 
-                    const srcPath = extractedImages[i];
-                    const num = (processedCount + 1).toString().padStart(Math.max(3, padding), '0');
-                    processedCount++;
+                let volumeBox = null;
+                if (cleanupEnabled && cleanupOptions.crop && cleanupOptions.sameBox) {
+                    sendProgress(requestId, { type: 'log', message: `Measuring borders of ${selectedImages.length} pages...` });
+                    volumeBox = await computeVolumeCropBox(requestId, selectedImages.map(p => fs.readFileSync(p)), rotAngle, cleanupOptions);
+                }
+
+                // Pages are numbered from their position in the range, so they can be processed in parallel
+                await mapWithConcurrency(selectedImages, MAX_PAGE_WORKERS, async (srcPath, idx) => {
+                    throwIfCancelled(requestId);
+                    const num = (idx + 1).toString().padStart(Math.max(3, padding), '0');
                     
                     const srcPathStr = srcPath.toString('binary');
                     const ext = path.extname(srcPathStr).toLowerCase();
-                    const needsProcessing = !isOriginal || (rotAngle !== 0);
+                    const needsProcessing = !isOriginal || (rotAngle !== 0) || cleanupEnabled;
 
-                    if (!needsProcessing) {
+                    if (repack) {
+                        // Original bytes under the original name and folder (raw name bytes), or renumbered at the root
+                        const relPath = srcPath.subarray(Buffer.byteLength(tempDir + path.sep));
+                        const target = repackRenumber
+                            ? Buffer.from(path.join(processingDir, `${num}${ext}`))
+                            : Buffer.concat([Buffer.from(processingDir + path.sep), relPath]);
+                        const parentEnd = target.lastIndexOf(path.sep);
+                        fs.mkdirSync(target.subarray(0, parentEnd), { recursive: true });
+                        fs.renameSync(srcPath, target);
+                    } else if (!needsProcessing || await canKeepWebp(srcPath)) {
                         fs.copyFileSync(srcPath, path.join(processingDir, `${num}${ext}`));
                     } else if (sharp) {
                         const inputBuffer = fs.readFileSync(srcPath);
-                        if (inputBuffer.length === 0) continue;
-
-                        let pipeline = sharp(inputBuffer);
-                        if (rotAngle !== 0) pipeline = pipeline.rotate(rotAngle);
-                        
-                        // Resize logic: DPI and MaxWidth are complementary (not exclusive)
-                        // Step 1: Apply DPI-based resizing if requested
-                        if (dpiVal) {
-                            try {
-                                const metadata = await pipeline.metadata();
-                                const sourceDensity = metadata.density || 72;
-                                const targetDensity = dpiVal;
-                                if (Math.abs(targetDensity - sourceDensity) / sourceDensity > 0.02) {
-                                    const newWidth = Math.round(metadata.width * (targetDensity / sourceDensity));
-                                    pipeline = pipeline.resize(newWidth);
-                                }
-                                pipeline = pipeline.withMetadata({ density: targetDensity });
-                            } catch (e) {}
-                        }
-                        
-                        // Step 2: Apply MaxWidth limit if defined (after DPI resizing)
-                        if (maxW && maxW > 0) {
-                            try {
-                                const metadata = await pipeline.metadata();
-                                const willResize = metadata.width !== maxW;
-                                logDebug(`[CONVERT RESIZE] Image ${processedCount}: Source width=${metadata.width}px, MaxWidth=${maxW}px, Will resize: ${willResize} (${metadata.width < maxW ? 'upscale' : metadata.width > maxW ? 'downscale' : 'no change'})`);
-                                if (willResize) {
-                                    pipeline = pipeline.resize({ width: maxW });
-                                }
-                            } catch (e) {}
-                        }
-
-                        if (colorMode === 'gray') pipeline = pipeline.grayscale();
-
-                        let outExt = '.' + safeImgFormat;
-                        if (safeImgFormat === 'jpeg') {
-                            pipeline = pipeline.jpeg({ quality: compVal });
-                            outExt = '.jpg';
-                        } else if (safeImgFormat === 'png') {
-                            pipeline = pipeline.png();
-                        } else if (safeImgFormat === 'tiff') {
-                            pipeline = pipeline.tiff();
-                        }
-
-                        await pipeline.toFile(path.join(processingDir, `${num}${outExt}`));
+                        if (inputBuffer.length === 0) return;
+                        await processPage(inputBuffer, path.join(processingDir, num), { volumeBox, label: 'CONVERT', index: idx });
                     } else {
                         fs.copyFileSync(srcPath, path.join(processingDir, `${num}${ext}`));
                     }
 
                     // Send progress updates more frequently for better UX
+                    processedCount++;
                     if (processedCount % 5 === 0 || processedCount === effectiveTotalPages) {
                         const pct = Math.round((processedCount / effectiveTotalPages) * 100);
                         sendProgress(requestId, {
@@ -971,7 +3443,7 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                                 : `Processing image ${processedCount}/${effectiveTotalPages}`
                         });
                     }
-                }
+                });
 
                 // Cleanup folders in tempDir
                 const deleteFolderContents = (dirPathStr) => {
@@ -979,9 +3451,6 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                     let items;
                     try { items = fs.readdirSync(dirBuffer, { encoding: 'buffer' }); } catch(e) { return; }
                     for (const itemBuffer of items) {
-                        const itemStr = itemBuffer.toString('binary');
-                        if (itemStr === 'processed' || itemStr.endsWith('processed')) continue;
-                        if (itemBuffer.toString('utf8') === 'processed') continue;
                         const separator = Buffer.from(path.sep);
                         const curPathBuffer = Buffer.concat([dirBuffer, separator, itemBuffer]);
                         try {
@@ -991,6 +3460,12 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                         } catch(e) {}
                     }
                 };
+                // Repack keeps the source ComicInfo.xml when it still describes the output
+                const hasMetadataEdits = Object.keys(comicMetadata).length > 0 || Object.keys(file.metadata || {}).length > 0;
+                if (repack && comicInfoName && comicInfoEnabled && effectiveTotalPages === totalExtracted && !hasMetadataEdits) {
+                    fs.renameSync(path.join(tempDir, comicInfoName), path.join(processingDir, 'ComicInfo.xml'));
+                    keptComicInfo = true;
+                }
                 deleteFolderContents(tempDir);
 
                 const processedFiles = fs.readdirSync(processingDir);
@@ -998,8 +3473,30 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                     fs.renameSync(path.join(processingDir, f), path.join(tempDir, f));
                 }
                 fs.rmdirSync(processingDir);
+
+                if (splitEnabled) {
+                    sendProgress(requestId, { type: 'log', message: `Detecting double pages...` });
+                    const pages = processedFiles.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+                    const splitPages = await splitDoublePages(requestId, tempDir, pages, splitOptions);
+                    // Shift the bookmarks of the source ComicInfo.xml past the added halves
+                    const shifted = {};
+                    let pos = 0;
+                    splitPages.forEach((pageFiles, i) => {
+                        if (pageBookmarks[i]) shifted[pos] = pageBookmarks[i];
+                        pos += pageFiles.length;
+                    });
+                    Object.keys(pageBookmarks).forEach(k => delete pageBookmarks[k]);
+                    Object.assign(pageBookmarks, shifted);
+                    renumberPages(tempDir, splitPages.flat());
+                    effectiveTotalPages = pos;
+                }
             }
 
+            if (pagesOnly) return { tempDir, pages: effectiveTotalPages, bookmarks: pageBookmarks, metadata: sourceMetadata, junk: junkFiles.length };
+
+            const budget = await applySizeBudget(tempDir, file.originalname);
+            const optimizedPages = await runOptimization(tempDir, file.originalname);
+
             // Finalize (Same logic as Merge)
             logInfo(`[TASK END] ${taskIdx+1}/${totalTasks}: "${file.originalname}" - ${effectiveTotalPages} pages processed`);
             sendProgress(requestId, {
@@ -1012,83 +3509,58 @@ app.post('/convert', upload.array('files'), async (req, res) => {
                 status: "Assembling..."
             });
             
-            const allowedFormats = ['cbz', 'cbt', 'cb7', 'cbr', 'pdf', 'rar4', 'folder'];
-            const safeFormat = allowedFormats.includes(format) ? format : 'cbz';
+            const safeFormat = OUTPUT_FORMATS.includes(format) ? format : 'cbz';
             
-            let outputFileName = `${fileName}.${safeFormat}`;
-            if (safeFormat === 'rar4') outputFileName = `${fileName}.cbr`;
-            if (safeFormat === 'folder') outputFileName = fileName;
+            // Source metadata < fields shared by the whole job < fields edited for this file
+            const metadata = { ...sourceMetadata, ...comicMetadata, ...(file.metadata || {}) };
+            const requestedName = prefixOutputDir(outputDir, buildOutputName(outputTemplate, file.originalname, outputExtension(safeFormat), metadata));
+            const output = resolveOutputCollision(requestId, requestedName, collisionPolicy, file.lastModified || Date.now());
+            if (output.collision === 'skipped') {
+                sendProgress(requestId, { type: 'log', message: `Skipped "${file.originalname}": ${output.name} already exists` });
+                fs.rmSync(tempDir, { recursive: true, force: true });
+                if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+                return skippedResult(output);
+            }
+            const outputFileName = output.name;
             
             const safeTempArchiveName = `archive_${Date.now()}_${Math.random().toString(36).substring(7)}.${safeFormat === 'rar4' ? 'cbr' : safeFormat}`;
             const tempOutputPath = path.join(TEMP_DIR, safeTempArchiveName);
+            trackTempPath(requestId, tempOutputPath);
 
             if (safeFormat === 'folder') {
             } else if (safeFormat === 'pdf') {
-                await new Promise((resolve, reject) => {
-                    const doc = new PDFDocument({ autoFirstPage: false });
-                    const stream = fs.createWriteStream(tempOutputPath);
-                    doc.pipe(stream);
-                    const images = fs.readdirSync(tempDir).filter(f => /\.(jpg|jpeg|png)$/i.test(f)).sort();
-                    for (const imgFile of images) {
-                        try {
-                            const imgPath = path.join(tempDir, imgFile);
-                            const { width, height } = { width: 595, height: 842 }; // Simplified logic vs Merge
-                            try {
-                                const img = doc.openImage(imgPath);
-                                doc.addPage({ margin: 0, size: [img.width, img.height] });
-                                doc.image(imgPath, 0, 0, { width: img.width, height: img.height });
-                            } catch(e) {}
-                        } catch(e) {}
-                    }
-                    doc.end();
-                    stream.on('finish', resolve);
-                    stream.on('error', reject);
-                });
-            } else if (safeFormat === 'cbt') {
-                await new Promise((resolve, reject) => exec(`tar -cf "${tempOutputPath}" .`, { cwd: tempDir }, (err) => err ? reject(err) : resolve()));
-            } else if (safeFormat === 'cb7') {
-                // Note: Archive compression applies even in Original mode (image extraction is native, but archive can still be compressed)
-                const level = archCompVal;
-                await new Promise((resolve, reject) => exec(`7z a -t7z -mx=${level} "${tempOutputPath}" .`, { cwd: tempDir }, (err) => err ? reject(err) : resolve()));
-            } else if (safeFormat === 'cbr') {
-                let rarComp = 3;
-                if (archCompVal === 0) rarComp = 0;
-                else if (archCompVal === 1) rarComp = 1;
-                else if (archCompVal === 3) rarComp = 2;
-                else if (archCompVal === 5) rarComp = 3;
-                else if (archCompVal === 7) rarComp = 4;
-                else if (archCompVal === 9) rarComp = 5;
-                await new Promise((resolve, reject) => exec(`rar a -r -m${rarComp} -ep1 "${tempOutputPath}" .`, { cwd: tempDir }, (err) => err ? reject(err) : resolve()));
-            } else if (safeFormat === 'rar4') {
-                let rarComp = 3;
-                if (archCompVal === 0) rarComp = 0;
-                else if (archCompVal === 1) rarComp = 1;
-                else if (archCompVal === 3) rarComp = 2;
-                else if (archCompVal === 5) rarComp = 3;
-                else if (archCompVal === 7) rarComp = 4;
-                else if (archCompVal === 9) rarComp = 5;
-                await new Promise((resolve, reject) => exec(`rar a -ma4 -r -m${rarComp} -ep1 "${tempOutputPath}" .`, { cwd: tempDir }, (err) => err ? reject(err) : resolve()));
+                await writePdfOutput(tempDir, tempOutputPath, outputFileName, metadata, pageBookmarks);
+            } else if (safeFormat === 'epub' || safeFormat === 'kepub') {
+                await writeEpubOutput(safeFormat, tempDir, tempOutputPath, outputFileName, metadata, pageBookmarks);
+            } else if (repack) {
+                // Repacked pages may sit in sub-folders: ComicInfo <Pages> only describes a flat layout
+                const entries = listArchiveTree(tempDir);
+                if (comicInfoEnabled && !keptComicInfo && entries.every(e => !e.includes('/'))) {
+                    await writeComicInfo(tempDir, metadata, { readingDir, bookmarks: pageBookmarks });
+                    entries.push('ComicInfo.xml');
+                }
+                await createArchive(requestId, safeFormat, tempDir, tempOutputPath, archCompVal, entries);
             } else {
-                const level = archCompVal;
-                await new Promise((resolve, reject) => exec(`7z a -tzip -mx=${level} "${tempOutputPath}" .`, { cwd: tempDir }, (err) => err ? reject(err) : resolve()));
+                if (comicInfoEnabled) await writeComicInfo(tempDir, metadata, { readingDir, bookmarks: pageBookmarks });
+                await createArchive(requestId, safeFormat, tempDir, tempOutputPath, archCompVal);
             }
 
             if (safeFormat !== 'folder' && !fs.existsSync(tempOutputPath)) {
                 throw new Error(`Archive generation failed: ${safeTempArchiveName} not found.`);
             }
 
-            const persistentPath = path.join(OUTPUT_DIR, outputFileName);
+            const persistentPath = output.path;
+            if (output.collision === 'overwritten') fs.rmSync(persistentPath, { recursive: true, force: true });
             
             let finalSize = 0;
             if (safeFormat === 'folder') {
-                if (fs.existsSync(persistentPath)) fs.rmSync(persistentPath, { recursive: true, force: true });
                 fs.mkdirSync(persistentPath, { recursive: true });
                 
                 // Copy only valid images, exclude thumbs
                 const filesToCopy = fs.readdirSync(tempDir).filter(f =>
                     !f.startsWith('thumb_') &&
                     !f.startsWith('.') &&
-                    /\.(jpg|jpeg|png|tif|tiff|bmp|webp)$/i.test(f)
+                    /\.(jpg|jpeg|png|tif|tiff|bmp|webp|avif)$/i.test(f)
                 );
                 
                 for (const f of filesToCopy) {
@@ -1114,9 +3586,9 @@ app.post('/convert', upload.array('files'), async (req, res) => {
             let thumbnail = null;
             if (sharp) {
                 try {
-                    const images = fs.readdirSync(tempDir).filter(f => /\.(jpg|jpeg|png|webp|tiff|tif|bmp)$/i.test(f)).sort();
+                    const images = (repack ? listArchiveTree(tempDir) : fs.readdirSync(tempDir)).filter(f => /\.(jpg|jpeg|png|webp|avif|tiff|tif|bmp)$/i.test(f)).sort();
                     if (images.length > 0) {
-                        const buffer = await sharp(path.join(tempDir, images[0])).resize(200).toBuffer();
+                        const buffer = await sharp(path.join(tempDir, images[0])).resize(200).jpeg().toBuffer();
                         thumbnail = `data:image/jpeg;base64,${buffer.toString('base64')}`;
                     }
                 } catch(e) { logWarn("Final Thumbnail generation error:", e); }
@@ -1124,13 +3596,159 @@ app.post('/convert', upload.array('files'), async (req, res) => {
             
             fs.rmSync(tempDir, { recursive: true, force: true });
             fs.unlinkSync(file.path);
+            reservedOutputs.delete(persistentPath);
 
             return {
                 name: outputFileName,
                 path: persistentPath,
                 size: finalSize,
                 pages: effectiveTotalPages,
-                thumbnail: thumbnail
+                thumbnail: thumbnail,
+                collision: output.collision,
+                requestedName: output.collision === 'renamed' ? requestedName : undefined,
+                budget: budget || undefined,
+                optimization: optimizationReport(optimizedPages, file.size || 0, finalSize, junkFiles.length)
+            };
+        };
+
+        // Helper: Process Chapter Merge Task (ordered PDFs/archives -> one volume). Each document is converted
+        // like a CONVERT task, its pages appended to the volume; every chapter gets a bookmark (PDF outline or
+        // ComicInfo.xml) and, with chapterSeparators, a title page before it.
+        const processChapterMergeTask = async (docs, baseName, taskIdx, totalTasks) => {
+            logInfo(`[TASK START] ${taskIdx+1}/${totalTasks}: Merging ${docs.length} documents into "${baseName}"`);
+            sendProgress(requestId, { type: 'log', message: `Starting task ${taskIdx+1}/${totalTasks}: Merging ${docs.length} documents into "${baseName}"` });
+
+            const safeFormat = OUTPUT_FORMATS.includes(format) ? format : 'cbz';
+
+            const requestedName = buildOutputName(outputTemplate, baseName, outputExtension(safeFormat), comicMetadata);
+            const output = resolveOutputCollision(requestId, requestedName, collisionPolicy, Math.max(...docs.map(f => f.lastModified || Date.now())));
+            if (output.collision === 'skipped') {
+                sendProgress(requestId, { type: 'log', message: `Skipped "${baseName}": ${output.name} already exists` });
+                docs.forEach(f => { if(fs.existsSync(f.path)) fs.unlinkSync(f.path); });
+                return skippedResult(output);
+            }
+
+            const volumeDir = path.join(TEMP_DIR, `chapters_${Date.now()}_${Math.random().toString(36).substring(7)}`);
+            fs.mkdirSync(volumeDir, { recursive: true });
+            trackTempPath(requestId, volumeDir);
+
+            const separatorsEnabled = isEnabled(params.chapterSeparators) && !!sharp;
+            const bookmarks = {};
+            const pageTypes = {};
+            const sourceSize = docs.reduce((acc, f) => acc + (f.size || 0), 0);
+            let volumeMetadata = {};
+            let removedFiles = 0;
+            const volumePages = [];
+
+            for (const [chapterIdx, doc] of docs.entries()) {
+                throwIfCancelled(requestId);
+                sendProgress(requestId, { type: 'log', message: `Chapter ${chapterIdx + 1}/${docs.length}: ${doc.originalname}` });
+                const chapter = await processConvertTask(doc, taskIdx, totalTasks, { pagesOnly: true });
+                const title = (doc.metadata && doc.metadata.Title) || chapter.metadata.Title || parseFileName(doc.originalname).name;
+                if (chapterIdx === 0) volumeMetadata = chapter.metadata;
+                removedFiles += chapter.junk;
+
+                const pages = listArchiveEntries(chapter.tempDir).filter(f => /\.(jpg|jpeg|png|webp|avif|tif|tiff|bmp|gif)$/i.test(f));
+                // The first chapter opens on the volume cover; the others start with an inner cover
+                if (separatorsEnabled && chapterIdx > 0 && pages.length > 0) {
+                    let width = 1200, height = 1700;
+                    try { ({ width, height } = await sharp(path.join(chapter.tempDir, pages[0])).metadata()); } catch (e) {}
+                    const { pipeline, ext } = encodeImage(createSeparatorPage(title, width, height), isOriginal ? 'jpeg' : safeImgFormat, compVal);
+                    const name = `${volumePages.length.toString().padStart(6, '0')}${ext}`;
+                    await pipeline.toFile(path.join(volumeDir, name));
+                    volumePages.push(name);
+                }
+                const start = volumePages.length - (separatorsEnabled && chapterIdx > 0 && pages.length > 0 ? 1 : 0);
+                bookmarks[start] = title;
+                if (chapterIdx > 0) pageTypes[start] = 'InnerCover';
+                // Bookmarks of the chapter itself (PDF outline, ComicInfo.xml) follow its title
+                for (const [idx, bookmark] of Object.entries(chapter.bookmarks)) {
+                    const pos = volumePages.length + parseInt(idx);
+                    if (!bookmarks[pos]) bookmarks[pos] = bookmark;
+                }
+                for (const page of pages) {
+                    const name = `${volumePages.length.toString().padStart(6, '0')}${path.extname(page).toLowerCase()}`;
+                    fs.renameSync(path.join(chapter.tempDir, page), path.join(volumeDir, name));
+                    volumePages.push(name);
+                }
+                fs.rmSync(chapter.tempDir, { recursive: true, force: true });
+                if (fs.existsSync(doc.path)) fs.unlinkSync(doc.path);
+            }
+            renumberPages(volumeDir, volumePages);
+            const pageCount = volumePages.length;
+            if (pageCount === 0) throw new Error(`No pages found in the ${docs.length} documents`);
+
+            const budget = await applySizeBudget(volumeDir, baseName);
+            const optimizedPages = await runOptimization(volumeDir, baseName);
+
+            logInfo(`[TASK END] ${taskIdx+1}/${totalTasks}: "${baseName}" - ${docs.length} chapters, ${pageCount} pages`);
+            sendProgress(requestId, {
+                type: 'progress',
+                currentFileIndex: taskIdx + 1,
+                totalFiles: totalTasks,
+                currentPct: 100,
+                currentPages: pageCount,
+                totalPages: pageCount,
+                status: "Assembling..."
+            });
+
+            // Volume metadata: the first chapter's, without the fields that only describe that chapter
+            const { Title, Number, ...sharedMetadata } = volumeMetadata;
+            const metadata = { ...sharedMetadata, ...comicMetadata };
+
+            const safeTempArchiveName = `archive_${Date.now()}_${Math.random().toString(36).substring(7)}.${safeFormat === 'rar4' ? 'cbr' : safeFormat}`;
+            const tempOutputPath = path.join(TEMP_DIR, safeTempArchiveName);
+            trackTempPath(requestId, tempOutputPath);
+
+            if (safeFormat === 'folder') {
+                // Folder mode: skip archiving
+            } else if (safeFormat === 'pdf') {
+                await writePdfOutput(volumeDir, tempOutputPath, output.name, metadata, bookmarks);
+            } else if (safeFormat === 'epub' || safeFormat === 'kepub') {
+                await writeEpubOutput(safeFormat, volumeDir, tempOutputPath, output.name, metadata, bookmarks);
+            } else {
+                if (comicInfoEnabled) await writeComicInfo(volumeDir, metadata, { readingDir, bookmarks, pageTypes });
+                await createArchive(requestId, safeFormat, volumeDir, tempOutputPath, archCompVal);
+            }
+
+            const persistentPath = output.path;
+            if (output.collision === 'overwritten') fs.rmSync(persistentPath, { recursive: true, force: true });
+
+            let finalSize = 0;
+            if (safeFormat === 'folder') {
+                fs.mkdirSync(persistentPath, { recursive: true });
+                for (const f of listArchiveEntries(volumeDir).filter(f => /\.(jpg|jpeg|png|tif|tiff|bmp|webp|avif)$/i.test(f))) {
+                    fs.copyFileSync(path.join(volumeDir, f), path.join(persistentPath, f));
+                    finalSize += fs.statSync(path.join(persistentPath, f)).size;
+                }
+            } else {
+                fs.copyFileSync(tempOutputPath, persistentPath);
+                fs.unlinkSync(tempOutputPath);
+                finalSize = fs.statSync(persistentPath).size;
+            }
+
+            let thumbnail = null;
+            if (sharp) {
+                try {
+                    const buffer = await sharp(path.join(volumeDir, listArchiveEntries(volumeDir)[0])).resize(200).jpeg().toBuffer();
+                    thumbnail = `data:image/jpeg;base64,${buffer.toString('base64')}`;
+                } catch(e) { logWarn("Final Thumbnail generation error:", e); }
+            }
+
+            fs.rmSync(volumeDir, { recursive: true, force: true });
+            reservedOutputs.delete(persistentPath);
+
+            return {
+                name: output.name,
+                path: persistentPath,
+                size: finalSize,
+                pages: pageCount,
+                chapters: docs.length,
+                thumbnail: thumbnail,
+                collision: output.collision,
+                requestedName: output.collision === 'renamed' ? requestedName : undefined,
+                budget: budget || undefined,
+                optimization: optimizationReport(optimizedPages, sourceSize, finalSize, removedFiles)
             };
         };
 
@@ -1138,9 +3756,19 @@ app.post('/convert', upload.array('files'), async (req, res) => {
         const tasks = [];
         const groups = {};
         const rootFiles = [];
-        const isImageFile = (f) => /\.(jpg|jpeg|png|tif|tiff|bmp|webp)$/i.test(f.originalname);
+        const isImageFile = (f) => inputTypes.get(f).kind === 'image';
 
+        // Thumbs.db, .DS_Store, __MACOSX/... are neither pages nor documents: dropped, and counted per folder
+        const junkPerDir = {};
         for (const file of files) {
+            const name = file.originalname.replace(/\\/g, '/');
+            if (!isJunkFile(name)) continue;
+            junkPerDir[name.split('/')[0]] = (junkPerDir[name.split('/')[0]] || 0) + 1;
+            try { fs.unlinkSync(file.path); } catch(e) {}
+        }
+
+        for (const file of files) {
+            if (isJunkFile(file.originalname)) continue;
             // Normalize path separators (Multer/FormData behavior)
             const name = file.originalname.replace(/\\/g, '/');
             const parts = name.split('/');
@@ -1167,62 +3795,545 @@ app.post('/convert', upload.array('files'), async (req, res) => {
             tasks.push({ type: 'MERGE', files: rootImages, name: name });
         }
 
-        // Folder Groups
+        // Folder Groups: sub-folders are chapters of one volume (default) or separate volumes (folderModes),
+        // PDFs and archives are converted into the same sub-folder of OUTPUT_DIR
+        const relativeDir = (f) => path.posix.dirname(f.originalname.replace(/\\/g, '/'));
         for (const [dirName, dirFiles] of Object.entries(groups)) {
             const images = dirFiles.filter(isImageFile);
-            if (images.length > 0) {
-                tasks.push({ type: 'MERGE', files: images, name: dirName });
+            const junk = junkPerDir[dirName] || 0;
+            if (folderModes[dirName] === 'volumes') {
+                const volumes = {};
+                for (const image of images) (volumes[relativeDir(image)] = volumes[relativeDir(image)] || []).push(image);
+                for (const [volumeDir, volumeImages] of Object.entries(volumes)) {
+                    const parts = volumeDir.split('/');
+                    const name = parts.pop();
+                    tasks.push({ type: 'MERGE', files: volumeImages, name, outputDir: parts.join('/'), junk: volumeDir === dirName ? junk : 0 });
+                }
+            } else if (images.length > 0) {
+                // Pages grouped by sub-folder in natural order (the sort is stable: page order is kept inside a folder)
+                const byFolder = (a, b) => relativeDir(a).localeCompare(relativeDir(b), undefined, { numeric: true, sensitivity: 'base' });
+                const volumeImages = images.some(f => relativeDir(f) !== dirName) ? [...images].sort(byFolder) : images;
+                const bookmarks = {};
+                volumeImages.forEach((image, i) => {
+                    const dir = relativeDir(image);
+                    if (dir !== dirName && (i === 0 || relativeDir(volumeImages[i - 1]) !== dir)) bookmarks[i] = dir.slice(dirName.length + 1);
+                });
+                tasks.push({ type: 'MERGE', files: volumeImages, name: dirName, junk, bookmarks });
+            }
+            for (const doc of dirFiles.filter(f => !isImageFile(f))) {
+                if (!['pdf', 'archive'].includes(inputTypes.get(doc).kind)) {
+                    sendProgress(requestId, { type: 'log', message: `Ignored ${doc.originalname}: not a PDF, archive or image` });
+                    try { fs.unlinkSync(doc.path); } catch(e) {}
+                    continue;
+                }
+                tasks.push({ type: 'CONVERT', file: doc, outputDir: relativeDir(doc) });
             }
         }
 
-        // Root Documents (Convert)
+        // Root Documents (Convert), or one volume made of all of them in upload order (mergeDocuments)
         const rootDocs = rootFiles.filter(f => !isImageFile(f));
-        for (const doc of rootDocs) {
-            tasks.push({ type: 'CONVERT', file: doc });
+        if (isEnabled(params.mergeDocuments) && rootDocs.length > 1) {
+            const first = parseFileName(rootDocs[0].originalname);
+            tasks.push({ type: 'CHAPTERS', files: rootDocs, name: comicMetadata.Series || first.series || first.name });
+        } else {
+            for (const doc of rootDocs) {
+                tasks.push({ type: 'CONVERT', file: doc });
+            }
         }
 
         sendProgress(requestId, { type: 'log', message: `Identified ${tasks.length} task(s).` });
 
-        const results = [];
-        
+        const taskResults = new Array(tasks.length);
+
+        const runTask = async (task, idx) => {
+            throwIfCancelled(job.id);
+            if (job.status === 'queued') {
+                job.status = 'running';
+                job.startedAt = new Date().toISOString();
+                logInfo(`[JOB START] ${job.id} (${tasks.length} task(s))`);
+            }
+            const taskFiles = task.type === 'CONVERT' ? [task.file] : task.files;
+            const inputs = taskFiles.map(f => f.originalname);
+            let res;
+            try {
+                if (task.type === 'MERGE') res = await processMergeTask(task.files, task.name, idx, tasks.length, task);
+                else if (task.type === 'CHAPTERS') res = await processChapterMergeTask(task.files, task.name, idx, tasks.length);
+                else res = await processConvertTask(task.file, idx, tasks.length, task);
+                res.status = res.skipped ? 'skipped' : 'completed';
+            } catch (err) {
+                // A failing task does not stop the batch, only a cancellation does
+                if (err.cancelled) throw err;
+                const name = task.type === 'CONVERT' ? task.file.originalname : task.name;
+                const error = err.message + (err.stderr ? `\nSTDERR: ${err.stderr}` : '');
+                logWarn(`[TASK FAILED] ${idx+1}/${tasks.length}: "${name}" - ${err.message}`);
+                taskFiles.forEach(f => { try { if (fs.existsSync(f.path)) fs.unlinkSync(f.path); } catch(e) {} });
+                res = { status: 'failed', name, error, size: 0, pages: 0, thumbnail: null };
+            }
+            res.inputs = inputs;
+            taskResults[idx] = res;
+            sendProgress(requestId, { type: 'task-complete', taskIndex: idx + 1, totalTasks: tasks.length, status: res.status, name: res.name, error: res.error });
+            // Expose partial results while the job is still running
+            job.results = taskResults.filter(Boolean);
+            saveJob(job);
+        };
+
         // --- PROCESS TASKS ---
-        for (const [idx, task] of tasks.entries()) {
-             if (task.type === 'MERGE') {
-                 const res = await processMergeTask(task.files, task.name, idx, tasks.length);
-                 if (res) results.push(res);
-             } else {
-                 const res = await processConvertTask(task.file, idx, tasks.length);
-                 if (res) results.push(res);
-             }
-        }
+        // Every task goes through the global worker pool; only a cancellation drops the tasks still waiting
+        const outcomes = await Promise.allSettled(tasks.map((task, idx) =>
+            scheduleTask(job.id, () => runTask(task, idx)).catch(err => {
+                dropPendingTasks(job.id, err);
+                throw err;
+            })
+        ));
+        const failure = outcomes.find(o => o.status === 'rejected');
+        if (failure) throw failure.reason;
+
+        const results = taskResults.filter(Boolean);
+        const converted = results.filter(r => r.status === 'completed');
+        const failed = results.filter(r => r.status === 'failed');
 
-        // Compute final statistics
-        const totalSize = results.reduce((acc, r) => acc + r.size, 0);
-        const totalPagesConverted = results.reduce((acc, r) => acc + (r.pages || 0), 0);
+        // Compute final statistics (outputs kept by the collision policy are listed but not counted)
+        const totalSize = converted.reduce((acc, r) => acc + r.size, 0);
+        const totalPagesConverted = converted.reduce((acc, r) => acc + (r.pages || 0), 0);
 
         // Cleanup temporary files (archives generated in TEMP_DIR) -> Handled by helpers
         
-        res.json({
-            success: true,
-            message: `Conversion completed.`,
-            stats: {
-                totalFiles: results.length,
-                totalPages: totalPagesConverted,
-                totalSize: totalSize,
-                outputDir: OUTPUT_DIR,
-                files: results
-            }
-        });
+        return {
+            totalFiles: converted.length,
+            skippedFiles: results.filter(r => r.status === 'skipped').length,
+            failedFiles: failed.length,
+            collisionPolicy: collisionPolicy,
+            totalPages: totalPagesConverted,
+            totalSize: totalSize,
+            outputDir: OUTPUT_DIR,
+            files: results
+        };
 
     } catch (error) {
-        console.error("Conversion error:", error);
-        const errorMsg = error.message + (error.stderr ? `\nSTDERR: ${error.stderr}` : '');
-        res.status(500).send('Conversion error: ' + errorMsg);
         // Attempt cleanup of remaining files
-        if (req.files) req.files.forEach(f => { if(fs.existsSync(f.path)) fs.unlinkSync(f.path); });
+        files.forEach(f => { if(fs.existsSync(f.path)) fs.unlinkSync(f.path); });
+        throw error;
+    }
+}
+
+// Start a job: it stays "queued" until one of its tasks gets a slot in the worker pool
+// passwords: Map job file -> password, kept in memory only (never saved with the job, lost on restart)
+async function startJob(job, passwords = new Map()) {
+    const runtime = { children: new Set(), tempPaths: new Set(), outputs: new Set(), cancelled: false, passwords };
+    jobRuntime[job.id] = runtime;
+
+    try {
+        job.stats = await runJob(job);
+        job.results = job.stats.files;
+        // Failed tasks are reported per result; the job only fails when none of its tasks succeeded
+        const failed = job.results.filter(r => r.status === 'failed');
+        job.status = failed.length > 0 && failed.length === job.results.length ? 'failed' : 'completed';
+        if (failed.length > 0) job.error = `${failed.length}/${job.results.length} task(s) failed: ` + failed.map(r => `${r.name}: ${r.error.split('\n')[0]}`).join('; ');
+    } catch (error) {
+        if (runtime.cancelled) {
+            job.status = 'cancelled';
+            job.error = 'Cancelled by user';
+        } else {
+            console.error("Conversion error:", error);
+            job.status = 'failed';
+            job.error = error.message + (error.stderr ? `\nSTDERR: ${error.stderr}` : '');
+        }
+    } finally {
+        // Remove the work directories left behind by interrupted tasks
+        runtime.tempPaths.forEach(p => {
+            try { fs.rmSync(p, { recursive: true, force: true }); } catch(e) {}
+        });
+        runtime.outputs.forEach(p => reservedOutputs.delete(p));
+        delete jobRuntime[job.id];
+    }
+
+    // The job may have been deleted while it was waiting
+    if (jobs[job.id] !== job) return;
+
+    job.finishedAt = new Date().toISOString();
+    saveJob(job);
+    logInfo(`[JOB END] ${job.id}: ${job.status}`);
+    if (job.status === 'cancelled') sendProgress(job.id, { type: 'cancelled', jobId: job.id });
+    sendProgress(job.id, {
+        type: 'job-complete',
+        jobId: job.id,
+        status: job.status,
+        error: job.error,
+        tasks: (job.results || []).map(r => ({ name: r.name, status: r.status, error: r.error }))
+    });
+    releaseSseChannel(job.id);
+}
+
+// Reload persisted jobs: interrupted jobs are queued again if their uploads are still there
+function restoreJobs() {
+    let entries;
+    try { entries = fs.readdirSync(JOBS_DIR).filter(f => f.endsWith('.json')); } catch(e) { return; }
+    const retentionMs = JOBS_RETENTION_DAYS * 24 * 3600 * 1000;
+    const pending = [];
+
+    for (const entry of entries) {
+        let job;
+        try { job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, entry), 'utf8')); }
+        catch (e) { logWarn(`[JOBS] Ignoring unreadable job file ${entry}:`, e.message); continue; }
+
+        if (job.status === 'queued' || job.status === 'running') {
+            // Input files may already carry their extension (renamed by a previous run)
+            const inputsAvailable = job.files.every(f => {
+                if (fs.existsSync(f.path)) return true;
+                const withExt = f.path + path.extname(f.originalname).toLowerCase();
+                if (fs.existsSync(withExt)) { f.path = withExt; return true; }
+                return false;
+            });
+            if (inputsAvailable) {
+                job.status = 'queued';
+                job.results = [];
+                pending.push(job);
+            } else {
+                job.status = 'failed';
+                job.error = 'Interrupted by a server restart (input files no longer available).';
+                job.finishedAt = new Date().toISOString();
+            }
+            saveJob(job);
+        } else if (job.finishedAt && Date.now() - new Date(job.finishedAt).getTime() > retentionMs) {
+            deleteJobFile(job.id);
+            continue;
+        }
+        jobs[job.id] = job;
+    }
+
+    pending.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    if (pending.length > 0) logInfo(`[JOBS] Resuming ${pending.length} queued job(s)`);
+    pending.forEach(job => startJob(job));
+}
+
+// Route principale de conversion: the job is queued and its ID returned immediately
+app.post('/convert', upload.array('files'), (req, res) => {
+    const files = req.files;
+
+    if (!files || files.length === 0) {
+        return res.status(400).send('No files uploaded.');
+    }
+    if (req.body.profile && !DEVICE_PROFILES[req.body.profile]) {
+        files.forEach(f => fs.unlink(f.path, () => {}));
+        return res.status(400).send(`Unknown device profile: ${req.body.profile}`);
+    }
+
+    // Restore full paths if provided by client (for folder drag & drop)
+    try {
+        if (req.body.filePaths) {
+            const paths = JSON.parse(req.body.filePaths);
+            if (Array.isArray(paths) && paths.length === files.length) {
+                files.forEach((f, i) => {
+                    if (paths[i]) f.originalname = paths[i];
+                });
+            }
+        }
+    } catch (e) {
+        logWarn("Error parsing filePaths:", e);
+    }
+
+    // Per-file ComicInfo edits, aligned with the uploaded files
+    let fileMetadata = [];
+    try {
+        if (req.body.fileMetadata) fileMetadata = JSON.parse(req.body.fileMetadata);
+    } catch (e) {
+        logWarn("Error parsing fileMetadata:", e);
+    }
+    if (!Array.isArray(fileMetadata)) fileMetadata = [];
+
+    // Source modification times (ms), used by the "newest" collision policy
+    let fileDates = [];
+    try {
+        if (req.body.fileDates) fileDates = JSON.parse(req.body.fileDates);
+    } catch (e) {
+        logWarn("Error parsing fileDates:", e);
+    }
+    if (!Array.isArray(fileDates)) fileDates = [];
+
+    // Per-file passwords of encrypted PDFs/archives: handed to the job runtime, never stored in the job
+    let filePasswords = [];
+    try {
+        if (req.body.filePasswords) filePasswords = JSON.parse(req.body.filePasswords);
+    } catch (e) {
+        logWarn("Error parsing filePasswords");
+    }
+    if (!Array.isArray(filePasswords)) filePasswords = [];
+
+    // The client-generated requestId doubles as job ID so SSE progress keeps working
+    const { filePaths, fileMetadata: _fileMetadata, fileDates: _fileDates, filePasswords: _filePasswords, requestId, ...params } = req.body;
+    const jobId = (requestId && /^[\w-]{1,64}$/.test(requestId) && !jobs[requestId])
+        ? requestId
+        : crypto.randomUUID();
+
+    const job = {
+        id: jobId,
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        params: params,
+        files: files.map((f, i) => ({
+            path: f.path,
+            originalname: f.originalname,
+            size: f.size,
+            lastModified: Number(fileDates[i]) || null,
+            metadata: parseComicMetadata(fileMetadata[i])
+        })),
+        results: [],
+        stats: null,
+        error: null
+    };
+    jobs[jobId] = job;
+    saveJob(job);
+
+    res.status(202).json({ success: true, jobId: jobId, status: job.status });
+    const passwords = new Map();
+    job.files.forEach((f, i) => { if (filePasswords[i]) passwords.set(f, String(filePasswords[i])); });
+    startJob(job, passwords);
+});
+
+// Job listing (most recent first)
+app.get('/jobs', (req, res) => {
+    const list = Object.values(jobs)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(job => {
+            const { results, ...summary } = publicJob(job);
+            return { ...summary, stats: job.stats ? { totalFiles: job.stats.totalFiles, failedFiles: job.stats.failedFiles, totalPages: job.stats.totalPages, totalSize: job.stats.totalSize } : null };
+        });
+    res.json({ jobs: list });
+});
+
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs[req.params.id];
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(publicJob(job, { thumbnails: req.query.thumbnails === '1' }));
+});
+
+// Cancel a queued or running conversion (the ID is the requestId used for SSE)
+app.post('/cancel/:requestId', (req, res) => {
+    const job = jobs[req.params.requestId];
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (job.status !== 'queued' && job.status !== 'running') {
+        return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+    cancelJob(job);
+    res.json({ success: true, jobId: job.id, status: 'cancelling' });
+});
+
+// Remove a queued or finished job (running jobs must be cancelled first)
+app.delete('/jobs/:id', (req, res) => {
+    const job = jobs[req.params.id];
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (job.status === 'running') return res.status(409).json({ error: 'Job is running, cancel it first' });
+
+    delete jobs[job.id];
+    if (job.status === 'queued') cancelJob(job);
+    releaseSseChannel(job.id);
+    deleteJobFile(job.id);
+    res.json({ success: true });
+});
+
+// --- OUTPUT LIBRARY ---
+
+// Archive/document outputs listed by the library (folders of images are listed too)
+const LIBRARY_EXTENSIONS = ['.cbz', '.cbr', '.cbt', '.cb7', '.pdf', '.epub'];
+const LIBRARY_IMAGE_RE = /\.(jpg|jpeg|png|webp|avif|tif|tiff|bmp|gif)$/i;
+
+// Page count / thumbnail of outputs that no job result describes, keyed by path and invalidated by mtime
+const outputInfoCache = new Map();
+
+// Path of a library entry from its name relative to OUTPUT_DIR, or null when it points outside
+function libraryPath(name) {
+    const outputRoot = path.resolve(OUTPUT_DIR);
+    const outputPath = path.resolve(outputRoot, ...String(name).split(/[\\/]/));
+    if (!outputPath.startsWith(outputRoot + path.sep)) return null;
+    return outputPath;
+}
+
+// Walk OUTPUT_DIR: a directory with images is a "folder" output, other directories are sub-folders of the naming template
+function listLibraryEntries(dir = OUTPUT_DIR, list = []) {
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) { return list; }
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            const hasImages = fs.readdirSync(fullPath).some(f => LIBRARY_IMAGE_RE.test(f));
+            if (hasImages) list.push({ path: fullPath, type: 'folder' });
+            else listLibraryEntries(fullPath, list);
+        } else if (LIBRARY_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            list.push({ path: fullPath, type: 'file' });
+        }
+    }
+    return list;
+}
+
+function getDirSize(dir) {
+    return fs.readdirSync(dir).reduce((acc, file) => {
+        const p = path.join(dir, file);
+        const s = fs.statSync(p);
+        return acc + (s.isDirectory() ? getDirSize(p) : s.size);
+    }, 0);
+}
+
+// Image entries of an archive through 7z (sorted like the converter sorts pages)
+function listArchiveImages(filePath) {
+    return new Promise((resolve) => {
+        execFile('7z', ['l', '-slt', filePath], { maxBuffer: 20 * 1024 * 1024, timeout: PROBE_TIMEOUT_MS }, (err, stdout) => {
+            if (err) return resolve([]);
+            const images = [...stdout.matchAll(/^Path = (.+)$/gm)].map(m => m[1].trim())
+                .filter(p => LIBRARY_IMAGE_RE.test(p) && !p.includes('__MACOSX'));
+            images.sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+            resolve(images);
+        });
+    });
+}
+
+// Page count and 200px JPEG thumbnail of an output found on disk
+async function readOutputInfo(entry) {
+    const ext = path.extname(entry.path).toLowerCase();
+    let pages = null;
+    let firstImage = null;
+    try {
+        if (entry.type === 'folder') {
+            const images = fs.readdirSync(entry.path).filter(f => LIBRARY_IMAGE_RE.test(f))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+            pages = images.length;
+            if (images.length) firstImage = fs.readFileSync(path.join(entry.path, images[0]));
+        } else if (ext === '.pdf') {
+            pages = await getPageCount(entry.path);
+            const thumbRoot = path.join(TEMP_DIR, `libthumb_${Date.now()}_${Math.random().toString(36).substring(7)}`);
+            await new Promise(resolve => execFile(popplerPath, ['-jpeg', '-scale-to', '200', '-f', '1', '-l', '1', '-singlefile', entry.path, thumbRoot], { timeout: PROBE_TIMEOUT_MS }, () => resolve()));
+            if (fs.existsSync(`${thumbRoot}.jpg`)) {
+                firstImage = fs.readFileSync(`${thumbRoot}.jpg`);
+                fs.unlinkSync(`${thumbRoot}.jpg`);
+            }
+        } else if (ext === '.cbz' || ext === '.epub') {
+            // Central directory only: just the first image is inflated
+            const fd = fs.openSync(entry.path, 'r');
+            try {
+                const name = path.basename(entry.path);
+                const images = readZipDirectory(fd, fs.fstatSync(fd).size, name).files
+                    .filter(e => !e.name.endsWith('/') && LIBRARY_IMAGE_RE.test(e.name) && !e.name.startsWith('__MACOSX'))
+                    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+                pages = images.length;
+                if (images.length) firstImage = readZipEntry(fd, images[0], name);
+            } finally {
+                fs.closeSync(fd);
+            }
+        } else if (toolCapabilities['7z']) {
+            const images = await listArchiveImages(entry.path);
+            pages = images.length;
+            if (images.length) {
+                firstImage = await new Promise(resolve => execFile('7z', ['e', '-so', entry.path, images[0]], { encoding: 'buffer', maxBuffer: 100 * 1024 * 1024, timeout: PROBE_TIMEOUT_MS }, (err, stdout) => resolve(err ? null : stdout)));
+            }
+        }
+    } catch (e) {
+        logWarn(`Library info error (${path.basename(entry.path)}):`, e.message);
+    }
+
+    let thumbnail = null;
+    if (firstImage && firstImage.length && sharp) {
+        try {
+            const buffer = await sharp(firstImage).resize(200).jpeg().toBuffer();
+            thumbnail = `data:image/jpeg;base64,${buffer.toString('base64')}`;
+        } catch (e) {}
+    }
+    return { pages, thumbnail };
+}
+
+// Library listing: every output of OUTPUT_DIR with size, date, page count and thumbnail (most recent first)
+app.get('/outputs', async (req, res) => {
+    // Outputs produced by known jobs already have their page count and thumbnail
+    const known = new Map();
+    Object.values(jobs)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .forEach(job => (job.results || []).forEach(r => {
+            if (r && r.path && !r.skipped) known.set(path.resolve(r.path), { pages: r.pages, thumbnail: r.thumbnail, jobId: job.id });
+        }));
+
+    const entries = listLibraryEntries();
+    const outputs = await mapWithConcurrency(entries, 2, async (entry) => {
+        let stat;
+        try { stat = fs.statSync(entry.path); } catch (e) { return null; }
+        const name = path.relative(OUTPUT_DIR, entry.path).split(path.sep).join('/');
+        let info = known.get(path.resolve(entry.path));
+        if (!info) {
+            const cached = outputInfoCache.get(entry.path);
+            if (cached && cached.mtimeMs === stat.mtimeMs) {
+                info = cached;
+            } else {
+                info = { ...(await readOutputInfo(entry)), mtimeMs: stat.mtimeMs };
+                outputInfoCache.set(entry.path, info);
+            }
+        }
+        return {
+            name,
+            type: entry.type,
+            format: entry.type === 'folder' ? 'folder' : path.extname(entry.path).substring(1).toLowerCase(),
+            size: entry.type === 'folder' ? getDirSize(entry.path) : stat.size,
+            modifiedAt: stat.mtime.toISOString(),
+            pages: info.pages,
+            thumbnail: info.thumbnail,
+            jobId: info.jobId || null,
+            inProgress: reservedOutputs.has(entry.path),
+            downloadUrl: `/outputs/${encodeURIComponent(name)}/download`
+        };
+    });
+
+    res.json({
+        outputDir: OUTPUT_DIR,
+        outputs: outputs.filter(Boolean).sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt))
+    });
+});
+
+// Download an output (Range requests are handled by res.download); folders are sent as a CBZ built on the fly
+app.get('/outputs/:name/download', async (req, res) => {
+    const outputPath = libraryPath(req.params.name);
+    if (!outputPath || !fs.existsSync(outputPath)) return res.status(404).json({ error: 'Output not found' });
+    if (reservedOutputs.has(outputPath)) return res.status(409).json({ error: 'Output is being written' });
+
+    if (!fs.statSync(outputPath).isDirectory()) {
+        return res.download(outputPath, path.basename(outputPath), (err) => {
+            if (err && !res.headersSent) res.status(500).json({ error: err.message });
+        });
+    }
+
+    const tempZip = path.join(TEMP_DIR, `download_${Date.now()}_${Math.random().toString(36).substring(7)}.cbz`);
+    try {
+        await writeZipArchive(null, outputPath, listArchiveEntries(outputPath), tempZip, 0);
+    } catch (e) {
+        try { fs.unlinkSync(tempZip); } catch(err) {}
+        return res.status(500).json({ error: e.message });
+    }
+    res.download(tempZip, `${path.basename(outputPath)}.cbz`, () => {
+        try { fs.unlinkSync(tempZip); } catch(e) {}
+    });
+});
+
+// Delete an output, then the sub-folders of the naming template it leaves empty
+app.delete('/outputs/:name', (req, res) => {
+    const outputPath = libraryPath(req.params.name);
+    // Only an output listed by the library (file or image folder): a naming-template sub-folder holding
+    // several volumes is not one
+    const isOutput = outputPath && listLibraryEntries().some(entry => path.resolve(entry.path) === outputPath);
+    if (!isOutput) return res.status(404).json({ error: 'Output not found' });
+    if (reservedOutputs.has(outputPath)) return res.status(409).json({ error: 'Output is being written' });
+
+    fs.rmSync(outputPath, { recursive: true, force: true });
+    outputInfoCache.delete(outputPath);
+    const outputRoot = path.resolve(OUTPUT_DIR);
+    let parent = path.dirname(outputPath);
+    while (parent.startsWith(outputRoot + path.sep) && fs.readdirSync(parent).length === 0) {
+        fs.rmdirSync(parent);
+        parent = path.dirname(parent);
     }
+    logInfo(`🗑️ Output deleted: ${req.params.name}`);
+    res.json({ success: true });
 });
 
+restoreJobs();
+
 app.listen(port, () => {
     logInfo(`BDConverter server started on http://localhost:${port} | Log level: ${LOG_LEVEL.toUpperCase()} | Theme: ${activeTheme}`);
 });